@@ -1,7 +1,19 @@
 // Stream Debugger - Main Application with mpegts.js integration
 
 import { discoverHDHR, discoverByIP, scanSubnet, detectLocalSubnet } from './discovery.js';
-import { DVBSubDecoder, TSSubtitleExtractor } from './dvbsub.js';
+import { DVBSubDecoder } from './dvbsub.js';
+import { SubtitlePipelineClient, dvbSubServices } from './subtitle-pipeline.js';
+import { TSIngest, createIngestLoader } from './ts-ingest.js';
+import { TSPacketReader } from './ts-packet.js';
+import { TR101290Monitor, TR101290_INDICATORS, PCR_REPETITION_LIMIT } from './tr101290.js';
+import { PIDStatsAnalyzer } from './pid-stats.js';
+import { PSIPGuide } from './psip.js';
+import { PCRAnalyzer } from './pcr-analyzer.js';
+import { MediaClock } from './media-clock.js';
+import { generatePGS, generateVobSub } from './image-subtitles.js';
+import { DEFAULT_PREPROCESS, analyzePalette, preprocessForOCR } from './ocr-preprocess.js';
+import { VTT_COLORS } from './subtitle-style.js';
+import { PacketLossTracker } from './continuity.js';
 import { FFmpegHelper, checkFFmpegCompatibility } from './ffmpeg-helper.js';
 import { WebOSMediaPlayer, isWebOS, getWebOSVersion } from './webos-media.js';
 
@@ -23,6 +35,7 @@ const statusState = document.getElementById('statusState');
 const statusReady = document.getElementById('statusReady');
 const statusResolution = document.getElementById('statusResolution');
 const statusCodec = document.getElementById('statusCodec');
+const statusChannel = document.getElementById('statusChannel');
 const statusBitrate = document.getElementById('statusBitrate');
 const statusBuffered = document.getElementById('statusBuffered');
 const statusDropped = document.getElementById('statusDropped');
@@ -31,6 +44,7 @@ const statusDropped = document.getElementById('statusDropped');
 const streamTab = document.getElementById('streamTab');
 const videoTab = document.getElementById('videoTab');
 const mpegtsTab = document.getElementById('mpegtsTab');
+const tr101290Tab = document.getElementById('tr101290Tab');
 
 // Discovery elements
 const discoveryOverlay = document.getElementById('discoveryOverlay');
@@ -73,6 +87,8 @@ const ctrlRefreshTracks = document.getElementById('ctrlRefreshTracks');
 
 // DVB-SUB / Subtitle extraction elements
 const ctrlDvbSub = document.getElementById('ctrlDvbSub');
+const ctrlTeletext = document.getElementById('ctrlTeletext');
+const ctrlCaptions = document.getElementById('ctrlCaptions');
 const ctrlSubDisplay = document.getElementById('ctrlSubDisplay');
 const ctrlOcrLang = document.getElementById('ctrlOcrLang');
 const ctrlSubFormat = document.getElementById('ctrlSubFormat');
@@ -80,7 +96,8 @@ const ctrlDownloadSubs = document.getElementById('ctrlDownloadSubs');
 const ctrlAddTrack = document.getElementById('ctrlAddTrack');
 const ctrlClearSubs = document.getElementById('ctrlClearSubs');
 const liveSubtitleDisplay = document.getElementById('liveSubtitleDisplay');
-const subtitlesTab = document.getElementById('subtitlesTab');
+const subtitlesTabContent = document.getElementById('subtitlesTabContent');
+const ocrPreprocessPanel = document.getElementById('ocrPreprocessPanel');
 const dvbStatusRow = document.getElementById('dvbStatusRow');
 const tesseractStatus = document.getElementById('tesseractStatus');
 const dvbPidStatus = document.getElementById('dvbPidStatus');
@@ -106,20 +123,45 @@ const webosNativeLabel = document.getElementById('webosNativeLabel');
 // ========================
 
 let mpegtsPlayer = null;
+let tsIngest = null;
+let tsPacketReader = null;
+let tsMonitor = null;
+let pidStats = null;
+let pcrAnalyzer = null;
+let mediaClock = null;
+let lossTracker = null;
 let mediaInfo = null;
 let statisticsInfo = null;
+let psiTables = {};
+const psipGuide = new PSIPGuide();
+let tsPrograms = [];
 let expandedNodes = new Set(['video', 'mediaInfo', 'statisticsInfo']);
 let allExpanded = false;
 
 // DVB-SUB / Subtitle extraction state
 let dvbSubEnabled = false;
+let teletextEnabled = false;
 let dvbSubDecoder = null;
-let tsExtractor = null;
+let captionChannel = 'off';
+let subtitlePipeline = null;
 let extractedCues = [];
+// DVB-SUB bitmaps with their display times, for PGS/VobSub export. Each
+// holds its canvas, so only the latest are kept.
+let bitmapCues = [];
+const MAX_BITMAP_CUES = 500;
+// Decoded cues waiting for the media clock's first video timestamp: { handler, item }
+let heldCues = [];
+const MAX_HELD_CUES = 200;
+// Identical OCR cues this close (s) are merged into one
+const CUE_MERGE_GAP = 0.5;
+// Room added to a placed VTT cue's size (% of the display), as the player's font isn't the broadcaster's
+const CUE_SIZE_MARGIN = 10;
 let currentSubtitleText = '';
 let addedVTTTrack = null;
 let detectedSubtitlePIDs = [];
 let recentBitmaps = [];
+// OCR preprocessing settings, tuned in the Subtitles tab
+let ocrPreprocess = { ...DEFAULT_PREPROCESS };
 
 // FFmpeg.wasm state
 let ffmpegHelper = null;
@@ -273,7 +315,7 @@ const videoEvents = [
     'play', 'pause', 'ratechange', 'resize', 'volumechange'
 ];
 
-function logEvent(eventName, detail = '', type = 'info') {
+function logEvent(eventName, detail = '', type = 'info', data = null) {
     const time = new Date().toLocaleTimeString('en-US', { hour12: false, fractionalSecondDigits: 3 });
     const item = document.createElement('div');
     item.className = 'event-item';
@@ -287,6 +329,13 @@ function logEvent(eventName, detail = '', type = 'info') {
         <span class="${nameClass}">${eventName}</span>
         ${detail ? `<span class="event-detail">${detail}</span>` : ''}
     `;
+    
+    // Structured fields stay queryable as data-* attributes
+    if (data) {
+        Object.entries(data).forEach(([key, value]) => {
+            item.dataset[key] = value;
+        });
+    }
     eventsLog.insertBefore(item, eventsLog.firstChild);
     
     // Keep only last 200 events
@@ -314,6 +363,8 @@ videoEvents.forEach(eventName => {
             detail = `buffered: ${video.buffered.end(video.buffered.length - 1).toFixed(1)}s`;
         } else if (eventName === 'stalled' || eventName === 'waiting') {
             type = 'error';
+            // Line stalls up with packet loss on the timeline
+            lossTracker?.mark(eventName);
         }
         
         logEvent(eventName, detail, type);
@@ -338,12 +389,15 @@ function initMpegtsPlayer(url) {
     
     logEvent('mpegts', 'Initializing mpegts.js player', 'info');
     
+    // mpegts.js reads from the shared ingest so analyzers never cost an extra tuner.
+    // A custom loader class can't be posted to the transmuxing worker, hence enableWorker: false.
     const player = mpegts.createPlayer({
         type: 'mpegts',
         isLive: true,
         url: url
     }, {
-        enableWorker: true,
+        customLoader: createIngestLoader(tsIngest),
+        enableWorker: false,
         enableStashBuffer: true,
         stashInitialSize: 128 * 1024,
         lazyLoad: false,
@@ -401,6 +455,237 @@ function initMpegtsPlayer(url) {
     return player;
 }
 
+// ========================
+// Shared TS Ingest
+// ========================
+
+function initTSIngest() {
+    tsIngest = new TSIngest({
+        onLog: (msg) => logEvent('ts-ingest', msg, 'info'),
+        onError: (msg) => logEvent('ts-ingest', msg, 'error')
+    });
+    
+    tsMonitor = new TR101290Monitor({
+        onSecond: handleTR101290Second,
+        onLog: (msg) => logEvent('tr101290', msg, 'info')
+    });
+    
+    pidStats = new PIDStatsAnalyzer();
+    pcrAnalyzer = new PCRAnalyzer();
+    mediaClock = new MediaClock({ onLog: (msg) => logEvent('media-clock', msg, 'info') });
+    lossTracker = new PacketLossTracker({ onLoss: handlePacketLoss });
+    
+    // One packet reader feeds every packet-level analyzer
+    tsPacketReader = new TSPacketReader({
+        onPacket: (packet, time) => {
+            tsMonitor.processPacket(packet, time);
+            pidStats.processPacket(packet, time);
+            pcrAnalyzer.processPacket(packet, time);
+            mediaClock.processPacket(packet);
+            lossTracker.processPacket(packet, time);
+        },
+        onSyncByteError: () => tsMonitor.syncByteError(),
+        onSyncLoss: () => {
+            tsMonitor.syncLoss();
+            logEvent('ts-sync', 'TS sync lost', 'error');
+        },
+        onSyncAcquired: (resync) => {
+            const format = tsPacketReader.format;
+            if (resync) {
+                logEvent('ts-sync', 'TS sync re-acquired', 'success');
+            } else if (format.size !== 188) {
+                logEvent('ts-sync', `Detected ${format.size}-byte ${format.name} packets`, 'info');
+            }
+        }
+    });
+}
+
+// Stream analysis consumer on the shared ingest
+const tsAnalysisConsumer = {
+    onStart: () => {
+        tsPacketReader.reset();
+        tsMonitor.reset();
+        pidStats.reset();
+        pcrAnalyzer.reset();
+        mediaClock.reset();
+        lossTracker.reset();
+        heldCues = [];
+        // Timed against the previous stream's clock
+        bitmapCues = [];
+    },
+    onData: (chunk) => {
+        tsPacketReader.push(chunk);
+        flushHeldCues();
+    }
+};
+
+function handlePacketLoss(event) {
+    const label = pidStats.getLabel(event.pid);
+    logEvent('packet-loss',
+        `PID ${event.pid} (${label}): ${event.missing} packet(s) lost, CC expected ${event.expected} got ${event.got}`,
+        'error',
+        { pid: event.pid, missing: event.missing });
+}
+
+function handleTR101290Second(entry) {
+    const parts = TR101290_INDICATORS
+        .filter(indicator => entry.counts[indicator.key] > 0)
+        .map(indicator => {
+            const detail = entry.details[indicator.key];
+            return `${entry.counts[indicator.key]}× ${indicator.name}${detail ? ` (${detail})` : ''}`;
+        });
+    
+    if (parts.length > 0) {
+        logEvent('tr101290', parts.join(', '), 'error');
+    }
+}
+
+// ========================
+// PSI/SI Tables
+// ========================
+
+function psiTableKey(table) {
+    switch (table.type) {
+        case 'PMT':
+            return `PMT (program ${table.programNumber})`;
+        case 'NIT':
+        case 'SDT':
+            return `${table.type}${table.actual ? '' : ' other'} #${table.sectionNumber}`;
+        case 'EIT':
+            return `EIT p/f${table.actual ? '' : ' other'} (service ${table.serviceId}) #${table.sectionNumber}`;
+        case 'VCT':
+            return `${table.cable ? 'CVCT' : 'TVCT'} #${table.sectionNumber}`;
+        default:
+            return table.type;
+    }
+}
+
+function handlePSITable(table) {
+    pidStats.handleTable(table);
+    psipGuide.handleTable(table);
+    
+    // EIT schedule tables run to hundreds of sections - not worth keeping for display.
+    // ATSC events and texts are shown from the PSIP guide instead.
+    if (table.type === 'EIT' && !table.presentFollowing) return;
+    if (table.type === 'PSIP EIT' || table.type === 'ETT') return;
+    
+    psiTables[psiTableKey(table)] = table;
+    
+    // Time tables repeat every few seconds and EIT changes constantly - don't log those
+    if (table.type !== 'TDT' && table.type !== 'TOT' && table.type !== 'STT' && table.type !== 'EIT') {
+        logEvent('psi', `${psiTableKey(table)} version ${table.version}`, 'info');
+    }
+}
+
+/**
+ * SDT entry for a program of the actual transport stream (DVB)
+ */
+function getSDTService(programNumber) {
+    for (const table of Object.values(psiTables)) {
+        if (table.type !== 'SDT' || !table.actual) continue;
+        const service = table.services.find(s => s.serviceId === programNumber);
+        if (service) {
+            return { ...service, transportStreamId: table.transportStreamId, originalNetworkId: table.originalNetworkId };
+        }
+    }
+    return null;
+}
+
+/**
+ * Present and following events of a service from the actual EIT p/f
+ * (section 0 carries the present event, section 1 the following one)
+ */
+function getDVBNowNext(serviceId) {
+    const events = [null, null];
+    for (const table of Object.values(psiTables)) {
+        if (table.type !== 'EIT' || !table.actual || !table.presentFollowing || table.serviceId !== serviceId) continue;
+        if (table.sectionNumber <= 1) events[table.sectionNumber] = table.events[0] || null;
+    }
+    return { present: events[0], following: events[1] };
+}
+
+function renderDVBEvent(label, event) {
+    if (!event) return '';
+    
+    const start = event.startTime ? event.startTime.toLocaleTimeString() : '?';
+    let html = '<div class="track-item">';
+    html += `<div class="track-detail">${label}: ${escapeHtml(event.name || '-')}</div>`;
+    html += `<div class="track-detail">Start: ${start} | Duration: ${formatTime(event.duration)} | ${event.runningStatusName}</div>`;
+    if (event.text) html += `<div class="track-detail">${escapeHtml(event.text)}</div>`;
+    html += '</div>';
+    return html;
+}
+
+function getServiceName(programNumber) {
+    const service = getSDTService(programNumber);
+    if (service && service.serviceName) return service.serviceName;
+    
+    // ATSC streams name their programs in the virtual channel table instead
+    const channel = psipGuide.getChannel(programNumber);
+    if (channel) return `${channel.majorChannel}.${channel.minorChannel} ${channel.shortName}`;
+    return null;
+}
+
+/**
+ * Virtual channel and current program title of the active program (ATSC)
+ */
+function getPSIPNowPlaying() {
+    const active = tsPrograms.find(p => p.active);
+    const channel = active ? psipGuide.getChannel(active.programNumber) : null;
+    if (!channel) return null;
+    
+    const { present, following } = psipGuide.getNowNext(channel.sourceId);
+    return { channel, present, following };
+}
+
+// ========================
+// Program Selection
+// ========================
+
+function getURLProgram(url) {
+    try {
+        const program = new URL(url).searchParams.get('program');
+        return program ? parseInt(program, 10) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function setURLProgram(url, programNumber) {
+    try {
+        const parsed = new URL(url);
+        if (programNumber === null) {
+            parsed.searchParams.delete('program');
+        } else {
+            parsed.searchParams.set('program', programNumber);
+        }
+        return parsed.toString();
+    } catch (e) {
+        return url;
+    }
+}
+
+function selectProgram(programNumber) {
+    subtitlePipeline.selectProgram(programNumber);
+    logEvent('program', programNumber === null ? 'Automatic program selection' : `Selected program ${programNumber}`, 'info');
+    
+    const currentUrl = streamUrlInput.value.trim();
+    const url = setURLProgram(currentUrl, programNumber);
+    if (url === currentUrl) {
+        refreshStreamTab();
+        return;
+    }
+    
+    streamUrlInput.value = url;
+    
+    // Restart playback so the device only sends the chosen program
+    if (mpegtsPlayer || video.currentSrc) {
+        playBtn.click();
+    } else {
+        refreshStreamTab();
+    }
+}
+
 // ========================
 // Status Updates
 // ========================
@@ -441,6 +726,20 @@ function updateStatus() {
         statusCodec.textContent = '-';
     }
     
+    // Virtual channel and program title from ATSC PSIP, else service and event from the DVB SDT/EIT
+    const nowPlaying = getPSIPNowPlaying();
+    const activeProgram = tsPrograms.find(p => p.active);
+    const sdtService = activeProgram ? getSDTService(activeProgram.programNumber) : null;
+    if (nowPlaying) {
+        const { channel, present } = nowPlaying;
+        statusChannel.textContent = `${channel.majorChannel}.${channel.minorChannel} ${channel.shortName}${present?.title ? ` - ${present.title}` : ''}`;
+    } else if (sdtService?.serviceName) {
+        const { present } = getDVBNowNext(sdtService.serviceId);
+        statusChannel.textContent = `${sdtService.serviceName}${present?.name ? ` - ${present.name}` : ''}`;
+    } else {
+        statusChannel.textContent = '-';
+    }
+    
     // Bitrate from statistics
     if (statisticsInfo && statisticsInfo.speed) {
         statusBitrate.textContent = `${(statisticsInfo.speed * 8 / 1024).toFixed(0)} kbps`;
@@ -518,6 +817,8 @@ function getPreview(value, type) {
                 return `VideoTrackList(${value.length})`;
             case 'MediaError':
                 return `MediaError(${value.code})`;
+            case 'Date':
+                return value.toISOString();
             case 'object':
             default:
                 if (value && typeof value === 'object') {
@@ -765,6 +1066,39 @@ function refreshStreamTab() {
     html += `<div class="info-card-value">${statisticsInfo?.speed ? `${(statisticsInfo.speed / 1024).toFixed(1)} KB/s` : '-'}</div>`;
     html += '</div>';
     
+    // Mux bitrate and jitter from the PCR
+    const pcrPrimary = pcrAnalyzer?.getPrimary();
+    html += '<div class="info-card">';
+    html += '<div class="info-card-title">PCR Mux Bitrate</div>';
+    html += `<div class="info-card-value">${pcrPrimary ? formatBitrate(pcrPrimary.muxBitrate) : '-'}</div>`;
+    html += '</div>';
+    
+    html += '<div class="info-card">';
+    html += '<div class="info-card-title">PCR Jitter</div>';
+    html += `<div class="info-card-value">${pcrPrimary ? `${pcrPrimary.jitter.toFixed(1)} ms` : '-'}</div>`;
+    html += '</div>';
+    
+    // Player position behind the latest PCR
+    const latency = mediaClock ? mediaClock.getLatency(video.currentTime) : null;
+    html += '<div class="info-card">';
+    html += '<div class="info-card-title">Live Latency</div>';
+    html += `<div class="info-card-value">${latency !== null ? `${latency.toFixed(2)}s` : '-'}</div>`;
+    html += '</div>';
+    
+    // Shared ingest
+    const ingestStats = tsIngest?.getStats();
+    html += '<div class="info-card">';
+    html += '<div class="info-card-title">Ingest</div>';
+    html += `<div class="info-card-value">${ingestStats?.running ? `${ingestStats.consumers} consumer(s)` : '-'}</div>`;
+    html += '</div>';
+    
+    // Packet format detected by the packet reader
+    const packetFormat = tsPacketReader?.format;
+    html += '<div class="info-card">';
+    html += '<div class="info-card-title">Packet Format</div>';
+    html += `<div class="info-card-value">${packetFormat ? `${packetFormat.name} (${packetFormat.size} B)` : '-'}</div>`;
+    html += '</div>';
+    
     html += '</div>'; // End grid
     
     // Tracks section
@@ -793,6 +1127,144 @@ function refreshStreamTab() {
         }
     }
     
+    // DVB service of the active program and its now/next events
+    const activeProgram = tsPrograms.find(p => p.active);
+    const sdtService = activeProgram ? getSDTService(activeProgram.programNumber) : null;
+    if (sdtService) {
+        const { present, following } = getDVBNowNext(sdtService.serviceId);
+        
+        html += '<div class="tree-section">DVB Service</div>';
+        html += '<div class="track-item">';
+        html += `<div class="track-detail">Service: ${escapeHtml(sdtService.serviceName || '-')} (ID ${sdtService.serviceId})</div>`;
+        html += `<div class="track-detail">Provider: ${escapeHtml(sdtService.providerName || '-')}</div>`;
+        html += `<div class="track-detail">Type: ${escapeHtml(sdtService.serviceTypeName || '-')} | Status: ${sdtService.runningStatusName}${sdtService.freeCAMode ? ' | Scrambled' : ''}</div>`;
+        html += `<div class="track-detail">ONID: ${sdtService.originalNetworkId} | TSID: ${sdtService.transportStreamId}</div>`;
+        html += '</div>';
+        
+        html += renderDVBEvent('Now', present);
+        html += renderDVBEvent('Next', following);
+    }
+    
+    // Programs from the PAT
+    if (tsPrograms.length > 0) {
+        html += '<div class="tree-section">Programs</div>';
+        html += '<div class="stream-pid-list">';
+        html += `<span class="stream-pid-item program-item${subtitlePipeline.selectedProgram === null ? ' active' : ''}" data-program="auto">Auto</span>`;
+        tsPrograms.forEach(program => {
+            const name = getServiceName(program.programNumber);
+            html += `<span class="stream-pid-item program-item${subtitlePipeline.selectedProgram === program.programNumber ? ' active' : ''}" data-program="${program.programNumber}">`;
+            html += `Program ${program.programNumber}${name ? ` - ${escapeHtml(name)}` : ''}${program.active ? ' ●' : ''}</span>`;
+        });
+        html += '</div>';
+        
+        const active = tsPrograms.find(p => p.active);
+        if (active) {
+            html += '<div class="track-item">';
+            html += `<div class="track-detail">Program ${active.programNumber}: PMT PID ${active.pmtPID}${active.pcrPID !== null ? `, PCR PID ${active.pcrPID}` : ''}</div>`;
+            active.streams.forEach(stream => {
+                html += `<div class="track-detail">PID ${stream.pid}: ${stream.streamTypeName}</div>`;
+            });
+            html += '</div>';
+        }
+    }
+    
+    // ATSC PSIP virtual channels and program guide
+    const psipChannels = psipGuide.getChannels();
+    if (psipChannels.length > 0) {
+        html += '<div class="tree-section">ATSC PSIP</div>';
+        
+        const utcTime = psipGuide.getUTCTime();
+        const nowPlaying = getPSIPNowPlaying();
+        html += '<div class="track-item">';
+        if (utcTime) {
+            html += `<div class="track-detail">Broadcast Time: ${utcTime.toLocaleString()} (GPS-UTC offset ${psipGuide.stt.gpsUtcOffset}s)</div>`;
+        }
+        if (nowPlaying) {
+            const { channel, present, following } = nowPlaying;
+            html += `<div class="track-detail">Channel: ${channel.majorChannel}.${channel.minorChannel} ${escapeHtml(channel.longName || channel.shortName)}</div>`;
+            if (present) {
+                html += `<div class="track-detail">Now: ${escapeHtml(present.title || '-')} (${present.startTime.toLocaleTimeString()} - ${present.endTime.toLocaleTimeString()})</div>`;
+                if (present.description) html += `<div class="track-detail">${escapeHtml(present.description)}</div>`;
+            }
+            if (following) {
+                html += `<div class="track-detail">Next: ${escapeHtml(following.title || '-')} (${following.startTime.toLocaleTimeString()})</div>`;
+            }
+        }
+        html += '</div>';
+        
+        html += '<table class="pid-table">';
+        html += '<tr><th>Channel</th><th>Name</th><th>Program</th><th>Type</th><th>Source ID</th><th>Now</th></tr>';
+        psipChannels.forEach(channel => {
+            html += `<tr class="${channel.hidden ? 'pid-null' : ''}">`;
+            html += `<td>${channel.number}</td>`;
+            html += `<td>${escapeHtml(channel.shortName)}${channel.accessControlled ? ' 🔒' : ''}</td>`;
+            html += `<td>${channel.programNumber}</td>`;
+            html += `<td>${escapeHtml(channel.serviceTypeName)}</td>`;
+            html += `<td>${channel.sourceId}</td>`;
+            html += `<td>${channel.present ? escapeHtml(channel.present.title || '-') : '-'}</td>`;
+            html += '</tr>';
+        });
+        html += '</table>';
+    }
+    
+    // PID map from the packet analyzer
+    const pidSummary = pidStats.getSummary();
+    if (pidSummary.totalPackets > 0) {
+        html += '<div class="tree-section">PID Map</div>';
+        html += '<div class="track-item">';
+        html += `<div class="track-detail">PIDs: ${pidSummary.pidCount} | Mux: ${formatBitrate(pidSummary.muxBitrate)} (avg ${formatBitrate(pidSummary.averageBitrate)})</div>`;
+        html += `<div class="track-detail">Null packets: ${pidSummary.nullShare.toFixed(1)}% | Scrambled packets: ${pidSummary.scrambledPackets}</div>`;
+        html += '</div>';
+        
+        html += '<table class="pid-table">';
+        html += '<tr><th>PID</th><th>Type</th><th>Packets</th><th>Current</th><th>Average</th><th>% Mux</th><th>Scr.</th></tr>';
+        pidStats.getPIDs().forEach(entry => {
+            html += `<tr class="${entry.pid === 0x1FFF ? 'pid-null' : ''}${entry.scrambled > 0 ? ' pid-scrambled' : ''}">`;
+            html += `<td>${entry.pid} (0x${entry.pid.toString(16).padStart(4, '0')})</td>`;
+            html += `<td>${escapeHtml(entry.label)}</td>`;
+            html += `<td>${entry.packets}</td>`;
+            html += `<td>${formatBitrate(entry.bitrate)}</td>`;
+            html += `<td>${formatBitrate(entry.averageBitrate)}</td>`;
+            html += `<td><div class="pid-share"><div class="pid-share-bar" style="width: ${entry.share.toFixed(1)}%"></div><span>${entry.share.toFixed(1)}%</span></div></td>`;
+            html += `<td>${entry.scrambled}</td>`;
+            html += '</tr>';
+        });
+        html += '</table>';
+    }
+    
+    // PCR analysis per PCR PID
+    const pcrStats = pcrAnalyzer.getStats().filter(entry => entry.muxBitrate !== undefined);
+    if (pcrStats.length > 0) {
+        html += '<div class="tree-section">PCR Analysis</div>';
+        html += '<table class="pid-table">';
+        html += '<tr><th>PID</th><th>PCRs</th><th>Interval (min/avg/max)</th><th>Mux Bitrate</th><th>PCR_AC</th><th>PCR_OJ</th><th>Drift</th><th>Disc.</th></tr>';
+        pcrStats.forEach(entry => {
+            html += `<tr class="${entry.accuracyMax > pcrAnalyzer.accuracyLimit || entry.intervalMax > PCR_REPETITION_LIMIT ? 'pcr-error' : ''}">`;
+            html += `<td>${entry.pid} (0x${entry.pid.toString(16).padStart(4, '0')})</td>`;
+            html += `<td>${entry.count}</td>`;
+            html += `<td>${entry.intervalMin.toFixed(1)} / ${entry.intervalAvg.toFixed(1)} / ${entry.intervalMax.toFixed(1)} ms</td>`;
+            html += `<td>${formatBitrate(entry.muxBitrate)}</td>`;
+            html += `<td>±${Math.round(entry.accuracyMax)} ns (${entry.accuracyErrors} over)</td>`;
+            html += `<td>${entry.jitter.toFixed(1)} ms</td>`;
+            html += `<td>${entry.drift.toFixed(0)} ppm</td>`;
+            html += `<td>${entry.discontinuities}</td>`;
+            html += '</tr>';
+        });
+        html += '</table>';
+    }
+    
+    // PSI/SI tables from the TS extractor
+    if (Object.keys(psiTables).length > 0) {
+        const psiStats = subtitlePipeline.stats?.psi;
+        html += '<div class="tree-section">PSI/SI Tables</div>';
+        if (psiStats) {
+            html += '<div class="track-item">';
+            html += `<div class="track-detail">Sections: ${psiStats.sections} | Tables: ${psiStats.tables} | CRC Errors: ${psiStats.crcErrors} | Assembly Errors: ${psiStats.assemblyErrors}</div>`;
+            html += '</div>';
+        }
+        html += renderTreeNode('psiTables', psiTables);
+    }
+    
     // Buffer info
     if (video.buffered.length > 0) {
         html += '<div class="tree-section">Buffer Ranges</div>';
@@ -804,6 +1276,13 @@ function refreshStreamTab() {
     }
     
     streamTab.innerHTML = html;
+    addTreeClickHandlers(streamTab);
+    
+    streamTab.querySelectorAll('.program-item').forEach(el => {
+        el.addEventListener('click', () => {
+            selectProgram(el.dataset.program === 'auto' ? null : parseInt(el.dataset.program, 10));
+        });
+    });
     
     // Add refresh button handler
     document.getElementById('refreshStreamBtn')?.addEventListener('click', refreshStreamTab);
@@ -877,11 +1356,110 @@ function refreshMpegtsTab() {
     });
 }
 
+function refreshTR101290Tab() {
+    let html = '<div class="refresh-controls">';
+    html += '<button class="btn btn-secondary btn-small" id="refreshTR101290Btn">↻ Refresh</button>';
+    html += '<button class="btn btn-secondary btn-small" id="resetTR101290Btn">Reset Counters</button>';
+    html += '</div>';
+    
+    const stats = tsMonitor.getStats();
+    const readerStats = tsPacketReader.stats;
+    
+    html += '<div class="tree-section">Monitor Status</div>';
+    html += '<div class="track-item">';
+    html += `<div class="track-detail">Sync: ${tsPacketReader.inSync ? '<span style="color: #22c55e">Locked ✓</span>' : '<span style="color: #f59e0b">Searching</span>'}</div>`;
+    html += `<div class="track-detail">Packets: ${stats.packets} | Bytes skipped: ${readerStats.bytesSkipped}</div>`;
+    html += `<div class="track-detail">Mux rate: ${stats.muxRate !== null ? `${(stats.muxRate / 1000000).toFixed(2)} Mbit/s` : 'waiting for PCR (interval checks start with it)'}</div>`;
+    html += `<div class="track-detail">PMT PIDs: ${stats.pmtPIDs.join(', ') || '-'} | PCR PIDs: ${stats.pcrPIDs.join(', ') || '-'}</div>`;
+    html += `<div class="track-detail">Priority 1 errors: ${stats.priority1} | Priority 2 errors: ${stats.priority2}</div>`;
+    html += '</div>';
+    
+    if (stats.packets === 0) {
+        html += '<div class="track-item"><div class="track-detail">No packets analyzed yet. Play a stream with mpegts.js to start monitoring.</div></div>';
+    }
+    
+    // Counters with a one-cell-per-second timeline of the last minute
+    const recent = tsMonitor.getRecentCounts(60);
+    const timeline = tsMonitor.history.slice(-60);
+    
+    [1, 2].forEach(priority => {
+        html += `<div class="tree-section">Priority ${priority}</div>`;
+        html += '<table class="tr-table">';
+        html += '<tr><th>#</th><th>Indicator</th><th>Total</th><th>60s</th><th>Last 60 seconds</th></tr>';
+        TR101290_INDICATORS.filter(i => i.priority === priority).forEach(indicator => {
+            const total = stats.counters[indicator.key];
+            html += `<tr class="${total > 0 ? 'tr-has-errors' : ''}">`;
+            html += `<td>${indicator.id}</td>`;
+            html += `<td>${indicator.name}</td>`;
+            html += `<td>${total}</td>`;
+            html += `<td>${recent[indicator.key]}</td>`;
+            html += '<td><div class="tr-strip">';
+            for (let i = 0; i < 60 - timeline.length; i++) {
+                html += '<span class="tr-cell"></span>';
+            }
+            timeline.forEach(entry => {
+                const count = entry.counts[indicator.key];
+                html += `<span class="tr-cell ${count > 0 ? 'error' : 'ok'}" title="${count}"></span>`;
+            });
+            html += '</div></td>';
+            html += '</tr>';
+        });
+        html += '</table>';
+    });
+    
+    // Packet loss from the continuity counters, with player stalls marked
+    const lossTimeline = lossTracker.history.slice(-60);
+    const maxLost = Math.max(1, ...lossTimeline.map(entry => entry.lost));
+    html += '<div class="tree-section">Packet Loss</div>';
+    html += '<div class="track-item">';
+    html += `<div class="track-detail">Lost: ${lossTracker.totals.lost} packets in ${lossTracker.totals.gaps} gaps | Duplicates: ${lossTracker.totals.duplicates}</div>`;
+    html += '<div class="loss-timeline">';
+    for (let i = 0; i < 60 - lossTimeline.length; i++) {
+        html += '<span class="loss-cell"></span>';
+    }
+    lossTimeline.forEach(entry => {
+        const height = entry.lost > 0 ? Math.max(2, Math.round((entry.lost / maxLost) * 24)) : 0;
+        const title = `${entry.lost} lost${entry.markers.length > 0 ? `, ${entry.markers.join(', ')}` : ''}`;
+        html += `<span class="loss-cell${entry.markers.length > 0 ? ' stall' : ''}" title="${title}"><span class="loss-bar" style="height: ${height}px"></span></span>`;
+    });
+    html += '</div>';
+    html += '<div class="track-detail">Last 60 seconds, one bar per second. Amber marks a stalled/waiting video event.</div>';
+    html += '</div>';
+    
+    const lossyPIDs = lossTracker.getLossyPIDs();
+    if (lossyPIDs.length > 0) {
+        html += '<table class="tr-table">';
+        html += '<tr><th>PID</th><th>Type</th><th>Gaps</th><th>Lost</th><th>Dup.</th><th>Loss %</th></tr>';
+        lossyPIDs.forEach(entry => {
+            html += '<tr>';
+            html += `<td>${entry.pid}</td>`;
+            html += `<td>${escapeHtml(pidStats.getLabel(entry.pid))}</td>`;
+            html += `<td>${entry.gaps}</td>`;
+            html += `<td>${entry.lost}</td>`;
+            html += `<td>${entry.duplicates}</td>`;
+            html += `<td>${((entry.lost / (entry.packets + entry.lost)) * 100).toFixed(2)}%</td>`;
+            html += '</tr>';
+        });
+        html += '</table>';
+    }
+    
+    tr101290Tab.innerHTML = html;
+    
+    document.getElementById('refreshTR101290Btn')?.addEventListener('click', refreshTR101290Tab);
+    document.getElementById('resetTR101290Btn')?.addEventListener('click', () => {
+        tsMonitor.reset();
+        lossTracker.reset();
+        logEvent('tr101290', 'Counters reset', 'info');
+        refreshTR101290Tab();
+    });
+}
+
 function refreshAllTabs() {
     refreshStreamTab();
     refreshVideoTab();
     refreshMpegtsTab();
     refreshSubtitlesTab();
+    refreshTR101290Tab();
 }
 
 // ========================
@@ -918,6 +1496,10 @@ playBtn.addEventListener('click', async () => {
     // Reset state
     mediaInfo = null;
     statisticsInfo = null;
+    psiTables = {};
+    psipGuide.reset();
+    tsPrograms = [];
+    subtitlePipeline.selectProgram(getURLProgram(url));
     
     // Check if WebOS native player is enabled and available
     if (useWebOSNative && webosAvailable && webosPlayer) {
@@ -942,6 +1524,9 @@ playBtn.addEventListener('click', async () => {
         
         mpegtsPlayer = initMpegtsPlayer(url);
         if (mpegtsPlayer) {
+            // The extractor also parses PSI/SI for the Stream tab, so it rides along with the player
+            tsIngest.subscribe(tsExtractorConsumer);
+            tsIngest.subscribe(tsAnalysisConsumer);
             mpegtsPlayer.attachMediaElement(video);
             mpegtsPlayer.load();
             mpegtsPlayer.play();
@@ -979,6 +1564,8 @@ function stopPlayback() {
         mpegtsPlayer.detachMediaElement();
         mpegtsPlayer.destroy();
         mpegtsPlayer = null;
+        
+        stopRawStreamCapture();
     }
     
     video.pause();
@@ -1178,6 +1765,7 @@ function handleDiscoveryKeys(e) {
 // Initialize
 // ========================
 
+initTSIngest();
 refreshAllTabs();
 updateStatus();
 initVideoControls();
@@ -1192,6 +1780,9 @@ setInterval(() => {
     if (document.querySelector('[data-tab="stream"]').classList.contains('active')) {
         refreshStreamTab();
     }
+    if (document.querySelector('[data-tab="tr101290"]').classList.contains('active')) {
+        refreshTR101290Tab();
+    }
 }, 1000);
 
 console.log('Stream Debugger initialized');
@@ -1572,6 +2163,12 @@ function formatTime(seconds) {
     return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
 }
 
+function formatBitrate(bitsPerSecond) {
+    if (!bitsPerSecond) return '-';
+    if (bitsPerSecond >= 1000000) return `${(bitsPerSecond / 1000000).toFixed(2)} Mbps`;
+    return `${(bitsPerSecond / 1000).toFixed(0)} kbps`;
+}
+
 function formatVTTTime(seconds) {
     if (!isFinite(seconds) || isNaN(seconds)) return '00:00:00.000';
     const h = Math.floor(seconds / 3600);
@@ -1614,20 +2211,23 @@ function initSubtitleExtraction() {
     dvbSubDecoder = new DVBSubDecoder({
         language: ctrlOcrLang.value,
         displayMode: ctrlSubDisplay.value,
+        // Pages the player has already shown aren't worth OCR once they've ended
+        hasPlayed: (time) => {
+            const playerTime = toPlayerTime(time);
+            return playerTime !== null && playerTime < video.currentTime;
+        },
         onSubtitle: handleDVBSubtitle,
         onBitmap: handleDVBBitmap,
         onOCRResult: handleOCRResult,
+        onDisplay: handleDVBDisplay,
+        onClear: handleDVBClear,
+        onBitmapCue: handleDVBBitmapCue,
         onError: (msg) => logEvent('dvb-error', msg, 'error'),
         onLog: (msg) => logEvent('dvb-sub', msg, 'info')
     });
     
-    // Initialize TS extractor
-    tsExtractor = new TSSubtitleExtractor({
-        onPES: (pes) => {
-            if (dvbSubEnabled && dvbSubDecoder) {
-                dvbSubDecoder.decode(pes.data, pes.pts);
-            }
-        },
+    // TS demux plus DVB-SUB rendering, caption and teletext decoding, in a worker where supported
+    subtitlePipeline = new SubtitlePipelineClient({
         onPMT: (streams) => {
             detectedSubtitlePIDs = streams;
             dvbPidStatus.textContent = streams.length > 0 
@@ -1635,7 +2235,44 @@ function initSubtitleExtraction() {
                 : 'None found';
             refreshSubtitlesTab();
         },
-        onLog: (msg) => logEvent('ts-extractor', msg, 'info')
+        onTable: handlePSITable,
+        onPrograms: (programs) => {
+            tsPrograms = programs;
+        },
+        // The media clock follows the program subtitles are extracted from
+        onClockPIDs: (videoPID, pcrPID) => mediaClock?.setPIDs(videoPID, pcrPID),
+        // Rendered bitmaps come back for display and OCR
+        onBitmap: (bitmap) => dvbSubDecoder.addBitmap(bitmap),
+        onClear: (pts, pid) => dvbSubDecoder.clear(pts, pid),
+        onCue: handleTextCue,
+        onDisplay: handleTextDisplay,
+        onLog: (source, msg, level) => logEvent(source, msg, level)
+    });
+    
+    initOCRPreprocessPanel();
+    
+    // Keep the bitmap overlay on the picture as the player resizes
+    if (typeof ResizeObserver !== 'undefined') {
+        new ResizeObserver(layoutSubtitleCanvas).observe(video);
+    }
+    window.addEventListener('resize', layoutSubtitleCanvas);
+    video.addEventListener('resize', layoutSubtitleCanvas);
+    layoutSubtitleCanvas();
+    
+    // Closed caption channel (off stops collecting the video PID)
+    ctrlCaptions.addEventListener('change', () => {
+        captionChannel = ctrlCaptions.value;
+        subtitlePipeline.setCaptionChannel(captionChannel);
+        
+        if (captionChannel === 'off') {
+            logEvent('captions', 'Closed caption decoding disabled', 'info');
+            stopRawStreamCapture();
+        } else {
+            logEvent('captions', `Decoding closed captions from ${captionChannel}`, 'success');
+            startRawStreamCapture();
+        }
+        
+        refreshSubtitlesTab();
     });
     
     // Toggle DVB-SUB detection
@@ -1644,6 +2281,7 @@ function initSubtitleExtraction() {
         ctrlDvbSub.textContent = dvbSubEnabled ? 'On' : 'Off';
         ctrlDvbSub.classList.toggle('active', dvbSubEnabled);
         dvbStatusRow.style.display = dvbSubEnabled ? 'flex' : 'none';
+        subtitlePipeline.setDVBSubEnabled(dvbSubEnabled);
         
         if (dvbSubEnabled) {
             logEvent('dvb-sub', 'DVB subtitle detection enabled', 'success');
@@ -1677,6 +2315,24 @@ function initSubtitleExtraction() {
         refreshSubtitlesTab();
     });
     
+    // Toggle teletext subtitle decoding
+    ctrlTeletext.addEventListener('click', () => {
+        teletextEnabled = !teletextEnabled;
+        ctrlTeletext.textContent = teletextEnabled ? 'On' : 'Off';
+        ctrlTeletext.classList.toggle('active', teletextEnabled);
+        subtitlePipeline.setTeletextEnabled(teletextEnabled);
+        
+        if (teletextEnabled) {
+            logEvent('teletext', 'Teletext subtitle decoding enabled', 'success');
+            startRawStreamCapture();
+        } else {
+            logEvent('teletext', 'Teletext subtitle decoding disabled', 'info');
+            stopRawStreamCapture();
+        }
+        
+        refreshSubtitlesTab();
+    });
+    
     // Display mode change
     ctrlSubDisplay.addEventListener('change', () => {
         if (dvbSubDecoder) {
@@ -1702,33 +2358,50 @@ function initSubtitleExtraction() {
     
     // Download subtitles
     ctrlDownloadSubs.addEventListener('click', () => {
+        const format = ctrlSubFormat.value;
+        
+        // Image formats: the DVB-SUB bitmaps themselves
+        if (format === 'sup' || format === 'vobsub') {
+            if (bitmapCues.length === 0) {
+                alert('No DVB subtitle bitmaps decoded yet');
+                return;
+            }
+            
+            if (format === 'sup') {
+                downloadFile(new Blob([generatePGS(bitmapCues)], { type: 'application/octet-stream' }), 'subtitles.sup');
+            } else {
+                const language = bitmapCues[bitmapCues.length - 1].language;
+                const vobsub = generateVobSub(bitmapCues, { language });
+                downloadFile(new Blob([vobsub.idx], { type: 'text/plain' }), 'subtitles.idx');
+                downloadFile(new Blob([vobsub.sub], { type: 'application/octet-stream' }), 'subtitles.sub');
+            }
+            
+            logEvent('subtitle-download', `Downloaded ${format === 'sup' ? 'subtitles.sup' : 'subtitles.idx/.sub'} (${bitmapCues.length} bitmaps)`, 'success');
+            return;
+        }
+        
         if (extractedCues.length === 0) {
             alert('No subtitles extracted yet');
             return;
         }
         
-        const format = ctrlSubFormat.value;
         let content, filename, mimeType;
         
         if (format === 'vtt') {
             content = generateVTT();
             filename = 'subtitles.vtt';
             mimeType = 'text/vtt';
+        } else if (format === 'ass') {
+            content = generateASS();
+            filename = 'subtitles.ass';
+            mimeType = 'text/x-ssa';
         } else {
             content = generateSRT();
             filename = 'subtitles.srt';
             mimeType = 'text/srt';
         }
         
-        const blob = new Blob([content], { type: mimeType });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadFile(new Blob([content], { type: mimeType }), filename);
         
         logEvent('subtitle-download', `Downloaded ${filename} (${extractedCues.length} cues)`, 'success');
     });
@@ -1746,6 +2419,8 @@ function initSubtitleExtraction() {
     // Clear subtitles
     ctrlClearSubs.addEventListener('click', () => {
         extractedCues = [];
+        bitmapCues = [];
+        heldCues = [];
         recentBitmaps = [];
         currentSubtitleText = '';
         liveSubtitleDisplay.textContent = dvbSubEnabled ? 'Waiting for DVB subtitles...' : 'DVB subtitle detection off';
@@ -1757,6 +2432,7 @@ function initSubtitleExtraction() {
         // Clear canvas
         const ctx = subtitleCanvas.getContext('2d');
         ctx.clearRect(0, 0, subtitleCanvas.width, subtitleCanvas.height);
+        drawPreprocessPreview();
         
         // Remove added track if exists
         if (addedVTTTrack) {
@@ -1770,6 +2446,7 @@ function initSubtitleExtraction() {
         if (dvbSubDecoder) {
             dvbSubDecoder.reset();
         }
+        subtitlePipeline?.resetDecoders();
         
         dvbBitmapCount.textContent = '0';
         ocrQueueStatus.textContent = '0';
@@ -1782,94 +2459,211 @@ function initSubtitleExtraction() {
     setInterval(updateDVBStatus, 500);
 }
 
-// Raw stream capture for DVB subtitle extraction
-let rawStreamReader = null;
-let rawStreamAbort = null;
-
-async function startRawStreamCapture() {
-    const url = streamUrlInput.value.trim();
+// Raw stream capture for DVB subtitle extraction (fed from the shared ingest)
+const tsExtractorConsumer = {
+    onStart: () => {
+        subtitlePipeline?.reset();
+        psiTables = {};
+        psipGuide.reset();
+        tsPrograms = [];
+    },
+    onData: (chunk) => subtitlePipeline?.parse(chunk),
+    onError: (err) => logEvent('raw-stream', `Error: ${err.message}`, 'error')
+};
+
+function startRawStreamCapture() {
+    // Share whatever the player is already fetching rather than opening a second connection
+    const url = tsIngest.running ? tsIngest.url : streamUrlInput.value.trim();
     if (!url) return;
     
-    try {
-        rawStreamAbort = new AbortController();
-        
-        const response = await fetch(url, {
-            signal: rawStreamAbort.signal
-        });
-        
-        if (!response.body) {
-            logEvent('raw-stream', 'ReadableStream not supported', 'error');
-            return;
-        }
-        
-        rawStreamReader = response.body.getReader();
-        logEvent('raw-stream', 'Started raw stream capture for subtitle extraction', 'success');
-        
-        // Read stream chunks
-        while (dvbSubEnabled) {
-            const { done, value } = await rawStreamReader.read();
-            if (done) break;
-            
-            if (tsExtractor && value) {
-                tsExtractor.parse(value.buffer);
-            }
-        }
-        
-    } catch (err) {
-        if (err.name !== 'AbortError') {
-            logEvent('raw-stream', `Error: ${err.message}`, 'error');
-        }
-    }
+    tsIngest.subscribe(tsExtractorConsumer);
+    // The media clock times the cues
+    tsIngest.subscribe(tsAnalysisConsumer);
+    tsIngest.start(url);
+    logEvent('raw-stream', `Subtitle extraction attached to shared ingest (${tsIngest.consumers.size} consumer(s))`, 'success');
 }
 
 function stopRawStreamCapture() {
-    if (rawStreamAbort) {
-        rawStreamAbort.abort();
-        rawStreamAbort = null;
-    }
-    if (rawStreamReader) {
-        rawStreamReader.cancel().catch(() => {});
-        rawStreamReader = null;
+    // Still needed for PSI/SI analysis while the player runs, and by DVB-SUB, teletext or caption decoding
+    if (mpegtsPlayer || dvbSubEnabled || teletextEnabled || captionChannel !== 'off') return;
+    
+    tsIngest.unsubscribe(tsExtractorConsumer);
+    tsIngest.unsubscribe(tsAnalysisConsumer);
+    if (subtitlePipeline) {
+        subtitlePipeline.reset();
     }
-    if (tsExtractor) {
-        tsExtractor.reset();
+}
+
+/**
+ * Stream time (PTS seconds) of a decoded cue to video.currentTime, null
+ * until the media clock has seen the first video timestamp
+ */
+function toPlayerTime(seconds) {
+    const time = mediaClock ? mediaClock.toPlayerTime(Math.round(seconds * 90000)) : null;
+    return time === null ? null : Math.max(0, time);
+}
+
+/**
+ * Hold a decoded cue back until the media clock can place it. Returns
+ * true when held; the oldest go first once too many wait.
+ */
+function holdCue(handler, item) {
+    if (mediaClock && mediaClock.base !== null) return false;
+    
+    heldCues.push({ handler, item });
+    if (heldCues.length > MAX_HELD_CUES) {
+        heldCues.shift();
     }
+    return true;
+}
+
+function flushHeldCues() {
+    if (heldCues.length === 0 || !mediaClock || mediaClock.base === null) return;
+    
+    const held = heldCues;
+    heldCues = [];
+    held.forEach(({ handler, item }) => handler(item));
+    logEvent('media-clock', `Placed ${held.length} cue(s) held until the first video timestamp`, 'info');
 }
 
+/**
+ * Add a decoded cue in start order: pooled OCR workers finish out of order,
+ * and decoders on several PIDs each run on their own delay
+ */
+function insertCue(cue) {
+    let index = extractedCues.length;
+    while (index > 0 && extractedCues[index - 1].start > cue.start) index--;
+    extractedCues.splice(index, 0, cue);
+}
+
+/**
+ * Finished DVB-SUB OCR cue, timed from its display set to the next one or its page time-out
+ */
 function handleDVBSubtitle(subtitle) {
+    if (holdCue(handleDVBSubtitle, subtitle)) return;
+    
+    const start = toPlayerTime(subtitle.startTime);
+    const end = toPlayerTime(subtitle.endTime);
+    
+    // The same text again right next to itself (a page redrawn or briefly cleared) extends that cue
+    const previous = extractedCues.slice(-5).reverse().find(cue => cue.source === subtitle.source && cue.text === subtitle.text &&
+        start <= cue.end + CUE_MERGE_GAP && end >= cue.start - CUE_MERGE_GAP);
+    if (previous) {
+        if (start < previous.start) {
+            previous.start = start;
+            previous.pts = subtitle.pts;
+        }
+        if (end > previous.end) {
+            previous.end = end;
+            previous.endPts = subtitle.endPts;
+        }
+        previous.confidence = Math.max(previous.confidence, subtitle.confidence);
+        return;
+    }
+    
     const cue = {
         id: extractedCues.length + 1,
         text: subtitle.text,
-        start: subtitle.startTime,
-        end: subtitle.endTime,
+        start: start,
+        end: end,
+        pts: subtitle.pts,
+        endPts: subtitle.endPts,
         confidence: subtitle.confidence,
+        lines: subtitle.lines,
+        bounds: subtitle.bounds,
         source: subtitle.source
     };
     
-    extractedCues.push(cue);
-    currentSubtitleText = subtitle.text;
+    insertCue(cue);
     
-    // Update live text display
-    liveSubtitleDisplay.textContent = subtitle.text;
-    liveSubtitleDisplay.classList.remove('empty');
+    // Enable download/add buttons
+    ctrlDownloadSubs.disabled = false;
+    ctrlAddTrack.disabled = false;
+}
+
+/**
+ * OCR text of the DVB-SUB page on screen ('' when it is cleared)
+ */
+function handleDVBDisplay(text) {
+    currentSubtitleText = text;
+    
+    if (text) {
+        liveSubtitleDisplay.textContent = text;
+        liveSubtitleDisplay.classList.remove('empty');
+    } else {
+        liveSubtitleDisplay.textContent = 'Waiting for DVB subtitles...';
+        liveSubtitleDisplay.classList.add('empty');
+    }
     
-    // Update overlay
     if (ctrlSubDisplay.value === 'ocr' || ctrlSubDisplay.value === 'both') {
-        subtitleOverlay.textContent = subtitle.text;
+        subtitleOverlay.textContent = text;
     }
+}
+
+/**
+ * DVB-SUB bitmap off screen, kept with its display time for image export
+ */
+function handleDVBBitmapCue(bitmap) {
+    if (holdCue(handleDVBBitmapCue, bitmap)) return;
+    
+    bitmapCues.push({
+        canvas: bitmap.canvas,
+        x: bitmap.x,
+        y: bitmap.y,
+        displayWidth: bitmap.displayWidth,
+        displayHeight: bitmap.displayHeight,
+        start: toPlayerTime(bitmap.startTime),
+        end: toPlayerTime(bitmap.endTime),
+        language: dvbSubServices(detectedSubtitlePIDs).find(service => service.pid === bitmap.pid && service.page === bitmap.page)?.language || null
+    });
+    
+    if (bitmapCues.length > MAX_BITMAP_CUES) {
+        bitmapCues.shift();
+    }
+    
+    ctrlDownloadSubs.disabled = false;
+}
+
+function handleDVBClear() {
+    const ctx = subtitleCanvas.getContext('2d');
+    ctx.clearRect(0, 0, subtitleCanvas.width, subtitleCanvas.height);
+}
+
+/**
+ * Cue from a text decoder (CEA-608/708 captions, teletext)
+ */
+function handleTextCue(caption) {
+    if (holdCue(handleTextCue, caption)) return;
+    
+    const cue = {
+        id: extractedCues.length + 1,
+        text: caption.text,
+        start: toPlayerTime(caption.start),
+        end: toPlayerTime(caption.end),
+        source: caption.source,
+        channel: caption.channel
+    };
+    
+    insertCue(cue);
     
-    // Enable download/add buttons
     ctrlDownloadSubs.disabled = false;
     ctrlAddTrack.disabled = false;
     
-    // Clear after duration
-    setTimeout(() => {
-        if (currentSubtitleText === subtitle.text) {
-            liveSubtitleDisplay.textContent = 'Waiting for DVB subtitles...';
-            liveSubtitleDisplay.classList.add('empty');
-            subtitleOverlay.textContent = '';
-        }
-    }, (subtitle.endTime - subtitle.startTime) * 1000);
+    logEvent('caption-cue', `[${caption.channel} ${formatVTTTime(cue.start)}] ${caption.text.replace(/\n/g, ' ').substring(0, 50)}`, 'info');
+    refreshSubtitlesTab();
+}
+
+function handleTextDisplay(text) {
+    currentSubtitleText = text;
+    
+    if (text) {
+        liveSubtitleDisplay.textContent = text;
+        liveSubtitleDisplay.classList.remove('empty');
+    } else {
+        liveSubtitleDisplay.textContent = 'Waiting for subtitles...';
+        liveSubtitleDisplay.classList.add('empty');
+    }
+    subtitleOverlay.textContent = text;
 }
 
 function handleDVBBitmap(bitmap) {
@@ -1878,6 +2672,7 @@ function handleDVBBitmap(bitmap) {
     if (recentBitmaps.length > 10) {
         recentBitmaps.shift();
     }
+    drawPreprocessPreview();
     
     // Update bitmap count
     if (dvbSubDecoder) {
@@ -1886,17 +2681,44 @@ function handleDVBBitmap(bitmap) {
     
     // Display bitmap on canvas
     if (ctrlSubDisplay.value === 'bitmap' || ctrlSubDisplay.value === 'both') {
-        const ctx = subtitleCanvas.getContext('2d');
-        
-        // Resize canvas to fit bitmap
-        subtitleCanvas.width = bitmap.width;
-        subtitleCanvas.height = bitmap.height;
+        // Canvas pixels are subtitle display pixels; its CSS box scales the display onto the picture
+        if (subtitleCanvas.width !== bitmap.displayWidth || subtitleCanvas.height !== bitmap.displayHeight) {
+            subtitleCanvas.width = bitmap.displayWidth;
+            subtitleCanvas.height = bitmap.displayHeight;
+        }
         
-        // Draw bitmap
-        ctx.drawImage(bitmap.canvas, 0, 0);
+        const ctx = subtitleCanvas.getContext('2d');
+        ctx.clearRect(0, 0, subtitleCanvas.width, subtitleCanvas.height);
+        ctx.drawImage(bitmap.canvas, bitmap.x, bitmap.y);
     }
 }
 
+/**
+ * Lay the subtitle canvas exactly over the picture: the video element's
+ * box less the bars object-fit: contain letterboxes it with
+ */
+function layoutSubtitleCanvas() {
+    const boxWidth = video.clientWidth;
+    const boxHeight = video.clientHeight;
+    let left = video.offsetLeft;
+    let top = video.offsetTop;
+    let width = boxWidth;
+    let height = boxHeight;
+    
+    if (video.videoWidth > 0 && video.videoHeight > 0) {
+        const scale = Math.min(boxWidth / video.videoWidth, boxHeight / video.videoHeight);
+        width = video.videoWidth * scale;
+        height = video.videoHeight * scale;
+        left += (boxWidth - width) / 2;
+        top += (boxHeight - height) / 2;
+    }
+    
+    subtitleCanvas.style.left = `${left}px`;
+    subtitleCanvas.style.top = `${top}px`;
+    subtitleCanvas.style.width = `${width}px`;
+    subtitleCanvas.style.height = `${height}px`;
+}
+
 function handleOCRResult(result) {
     const confidenceClass = result.confidence >= 80 ? 'high' : result.confidence >= 50 ? 'medium' : 'low';
     logEvent('ocr-result', `"${result.text.substring(0, 40)}..." (${result.confidence.toFixed(0)}% confidence)`, 
@@ -2085,6 +2907,7 @@ function handleFFmpegSubtitleImage(image) {
         if (recentBitmaps.length > 10) {
             recentBitmaps.shift();
         }
+        drawPreprocessPreview();
         
         dvbBitmapCount.textContent = recentBitmaps.length.toString();
     };
@@ -2095,7 +2918,7 @@ async function processFFmpegSubtitleImage(image) {
     if (!dvbSubDecoder || !dvbSubDecoder.tesseractReady) return;
     
     try {
-        const result = await dvbSubDecoder.tesseractWorker.recognize(image.blob);
+        const result = await dvbSubDecoder.recognize(image.blob);
         const text = result.data.text.trim();
         
         if (text.length > 2) {
@@ -2184,13 +3007,93 @@ function addSubtitleCue(text, startTime, endTime) {
     refreshSubtitlesTab();
 }
 
+function downloadFile(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+function escapeVTT(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Cue text with DVB line colours as <c.color> and italics as <i> (white is the default)
+ */
+function formatVTTCueText(cue) {
+    if (!cue.lines || cue.lines.length === 0) return escapeVTT(cue.text);
+    
+    return cue.lines.map(line => {
+        let text = escapeVTT(line.text);
+        if (line.italic) text = `<i>${text}</i>`;
+        if (line.colorName && line.colorName !== 'white') text = `<c.${line.colorName}>${text}</c>`;
+        return text;
+    }).join('\n');
+}
+
+/**
+ * VTT cue settings placing a DVB cue where its bitmap was on the display:
+ * anchored by its top edge in the upper half of the screen and by its
+ * bottom edge in the lower half, aligned to the side it sits on
+ */
+function formatVTTSettings(cue) {
+    const bounds = cue.bounds;
+    if (!bounds || !bounds.displayWidth || !bounds.displayHeight) return '';
+    
+    const percent = (value, total) => Math.min(100, Math.max(0, value / total * 100));
+    const left = percent(bounds.x, bounds.displayWidth);
+    const right = percent(bounds.x + bounds.width, bounds.displayWidth);
+    const top = percent(bounds.y, bounds.displayHeight);
+    const bottom = percent(bounds.y + bounds.height, bounds.displayHeight);
+    const center = (left + right) / 2;
+    
+    const line = top + bottom < 100 ? `${top.toFixed(2)}%,start` : `${bottom.toFixed(2)}%,end`;
+    
+    // Centred text, or text kept to one side (e.g. a second speaker)
+    let align, position, room;
+    if (Math.abs(center - 50) < 10) {
+        align = 'center';
+        position = center;
+        room = 2 * Math.min(center, 100 - center);
+    } else if (center < 50) {
+        align = 'start';
+        position = left;
+        room = 100 - left;
+    } else {
+        align = 'end';
+        position = right;
+        room = right;
+    }
+    const size = Math.min(room, right - left + CUE_SIZE_MARGIN);
+    
+    return ` line:${line} position:${position.toFixed(2)}% size:${size.toFixed(2)}% align:${align}`;
+}
+
 function generateVTT() {
     let vtt = 'WEBVTT\n\n';
     
+    // Not every player styles the WebVTT colour classes by default
+    const colorNames = new Set(extractedCues.flatMap(cue => (cue.lines || []).map(line => line.colorName)));
+    colorNames.delete('white');
+    colorNames.delete(null);
+    if (colorNames.size > 0) {
+        vtt += 'STYLE\n';
+        colorNames.forEach(name => {
+            const color = VTT_COLORS[name];
+            vtt += `::cue(.${name}) { color: rgb(${color.r}, ${color.g}, ${color.b}); }\n`;
+        });
+        vtt += '\n';
+    }
+    
     extractedCues.forEach((cue, index) => {
         vtt += `${index + 1}\n`;
-        vtt += `${formatVTTTime(cue.start)} --> ${formatVTTTime(cue.end)}\n`;
-        vtt += `${cue.text}\n\n`;
+        vtt += `${formatVTTTime(cue.start)} --> ${formatVTTTime(cue.end)}${formatVTTSettings(cue)}\n`;
+        vtt += `${formatVTTCueText(cue)}\n\n`;
     });
     
     return vtt;
@@ -2210,6 +3113,60 @@ function generateSRT() {
     return srt;
 }
 
+function formatASSTime(seconds) {
+    const centiseconds = Math.round(Math.max(0, seconds || 0) * 100);
+    const h = Math.floor(centiseconds / 360000);
+    const m = Math.floor(centiseconds / 6000) % 60;
+    const s = Math.floor(centiseconds / 100) % 60;
+    const cs = centiseconds % 100;
+    return `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}.${cs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Dialogue text with DVB line colours and italics as override tags, each
+ * styled line reset back to the Default style after it
+ */
+function formatASSCueText(cue) {
+    // Braces would open an override block
+    const escape = (text) => text.replace(/{/g, '(').replace(/}/g, ')');
+    const lines = cue.lines && cue.lines.length > 0 ? cue.lines : cue.text.split('\n').map(text => ({ text }));
+    let previousStyled = false;
+    
+    return lines.map(line => {
+        const tags = [];
+        if (line.color && line.colorName !== 'white') {
+            const { r, g, b } = line.color;
+            const bgr = [b, g, r].map(value => value.toString(16).padStart(2, '0').toUpperCase()).join('');
+            tags.push(`\\c&H${bgr}&`);
+        }
+        if (line.italic) tags.push('\\i1');
+        
+        const reset = previousStyled ? '{\\r}' : '';
+        previousStyled = tags.length > 0;
+        return `${reset}${tags.length > 0 ? `{${tags.join('')}}` : ''}${escape(line.text)}`;
+    }).join('\\N');
+}
+
+function generateASS() {
+    let ass = '[Script Info]\n';
+    ass += 'ScriptType: v4.00+\n';
+    ass += 'PlayResX: 720\n';
+    ass += 'PlayResY: 576\n';
+    ass += 'ScaledBorderAndShadow: yes\n\n';
+    
+    ass += '[V4+ Styles]\n';
+    ass += 'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding\n';
+    ass += 'Style: Default,Arial,32,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,2,1,2,20,20,24,1\n\n';
+    
+    ass += '[Events]\n';
+    ass += 'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text\n';
+    extractedCues.forEach(cue => {
+        ass += `Dialogue: 0,${formatASSTime(cue.start)},${formatASSTime(cue.end)},Default,,0,0,0,,${formatASSCueText(cue)}\n`;
+    });
+    
+    return ass;
+}
+
 function addExtractedSubtitlesAsTrack() {
     // Remove existing added track
     if (addedVTTTrack) {
@@ -2265,7 +3222,14 @@ function refreshSubtitlesTab() {
         html += `<div class="track-detail">Tesseract: ${stats.tesseractReady ? '<span style="color: #22c55e">Ready ✓</span>' : '<span style="color: #f59e0b">Not initialized</span>'}</div>`;
         html += `<div class="track-detail">Bitmaps Decoded: ${stats.bitmapsDecoded}</div>`;
         html += `<div class="track-detail">OCR Processed: ${stats.ocrProcessed}</div>`;
-        html += `<div class="track-detail">Errors: ${stats.errors}</div>`;
+        html += `<div class="track-detail">Repeated Pages: ${stats.duplicates} | OCR Cache Hits: ${stats.ocrCacheHits}</div>`;
+        html += `<div class="track-detail">OCR Workers: ${stats.ocrWorkersBusy}/${stats.ocrWorkers.length} busy (max ${stats.ocrWorkersMax})${stats.ocrWorkers.length > 0 ? ` - ${stats.ocrWorkers.join(', ')}` : ''}</div>`;
+        html += `<div class="track-detail">OCR Queue: ${stats.ocrQueueLength} | Dropped Stale: ${stats.ocrDropped}</div>`;
+        html += `<div class="track-detail">Errors: ${stats.errors + (subtitlePipeline?.stats?.dvbSub.errors || 0)}</div>`;
+    }
+    if (subtitlePipeline?.stats) {
+        const sync = subtitlePipeline.stats.sync;
+        html += `<div class="track-detail">TS Packets: ${sync.packets} | Resyncs: ${sync.resyncs} | Bytes Skipped: ${sync.bytesSkipped}</div>`;
     }
     html += '</div>';
     
@@ -2274,13 +3238,75 @@ function refreshSubtitlesTab() {
     if (detectedSubtitlePIDs.length > 0) {
         html += '<div class="stream-pid-list">';
         detectedSubtitlePIDs.forEach(stream => {
-            html += `<span class="stream-pid-item subtitle">PID ${stream.pid}: ${stream.typeName}</span>`;
+            html += `<span class="stream-pid-item subtitle">PID ${stream.pid}: ${stream.typeName}${stream.language ? ` (${escapeHtml(stream.language)})` : ''}</span>`;
         });
         html += '</div>';
     } else {
         html += '<div class="track-item"><div class="track-detail">No DVB subtitle PIDs detected yet. Enable DVB-SUB detection and play a stream.</div></div>';
     }
     
+    // One DVB-SUB service (PID and composition page) is decoded at a time, so its pages
+    // don't overlap another language's
+    const dvbServices = dvbSubServices(detectedSubtitlePIDs);
+    if (subtitlePipeline && dvbServices.length > 1) {
+        const stats = subtitlePipeline.stats;
+        html += '<div class="tree-section">DVB-SUB Service</div>';
+        html += '<div class="stream-pid-list">';
+        html += `<span class="stream-pid-item dvb-sub-page${subtitlePipeline.dvbSubPID === null ? ' active' : ''}" data-pid="auto">Auto</span>`;
+        dvbServices.forEach(service => {
+            const selected = subtitlePipeline.dvbSubPID === service.pid && subtitlePipeline.dvbSubPage === service.page;
+            const decoding = stats && stats.activeDVBSubPID === service.pid && stats.activeDVBSubPage === service.page;
+            const ancillary = service.ancillaryPage !== null && service.ancillaryPage !== service.page ? ` + ${service.ancillaryPage}` : '';
+            html += `<span class="stream-pid-item dvb-sub-page${selected ? ' active' : ''}" data-pid="${service.pid}" data-page="${service.page ?? 'auto'}">`;
+            html += `PID ${service.pid}${service.page !== null ? ` page ${service.page}${ancillary}` : ''}${service.language ? ` ${escapeHtml(service.language)}` : ''}${decoding ? ' ●' : ''}</span>`;
+        });
+        html += '</div>';
+    }
+    
+    // Teletext pages, from the PMT descriptor and as received
+    const teletextStreams = detectedSubtitlePIDs.filter(s => s.format === 'teletext');
+    if (subtitlePipeline?.stats && teletextStreams.length > 0) {
+        const ttStats = subtitlePipeline.stats.teletext;
+        const pages = new Map();
+        teletextStreams.forEach(stream => stream.pages.forEach(entry => {
+            pages.set(entry.page, { page: entry.page, language: entry.language, subtitle: entry.teletextType === 0x02 || entry.teletextType === 0x05 });
+        }));
+        ttStats.pages.filter(seen => seen.subtitle && !pages.has(seen.page)).forEach(seen => {
+            pages.set(seen.page, { page: seen.page, language: null, subtitle: true });
+        });
+        
+        html += '<div class="tree-section">Teletext Pages</div>';
+        html += '<div class="stream-pid-list">';
+        html += `<span class="stream-pid-item teletext-page${subtitlePipeline.teletextPage === null ? ' active' : ''}" data-page="auto">Auto</span>`;
+        Array.from(pages.values()).sort((a, b) => a.page - b.page).forEach(entry => {
+            html += `<span class="stream-pid-item teletext-page${subtitlePipeline.teletextPage === entry.page ? ' active' : ''}" data-page="${entry.page}">`;
+            html += `${entry.page}${entry.language ? ` ${escapeHtml(entry.language)}` : ''}${entry.subtitle ? ' (subtitles)' : ''}${ttStats.page === entry.page ? ' ●' : ''}</span>`;
+        });
+        html += '</div>';
+        html += '<div class="track-item">';
+        html += `<div class="track-detail">Decoding: ${teletextEnabled ? `<span style="color: #22c55e">PID ${subtitlePipeline.stats.activeTeletextPID} ✓</span>` : 'Off'}</div>`;
+        html += `<div class="track-detail">Data units: ${ttStats.dataUnits} | Page headers: ${ttStats.headers}</div>`;
+        html += `<div class="track-detail">Hamming errors: ${ttStats.hammingErrors} | Parity errors: ${ttStats.parityErrors}</div>`;
+        html += '</div>';
+    }
+    
+    // CEA-608/708 captions from the video user data
+    html += '<div class="tree-section">Closed Captions</div>';
+    html += '<div class="track-item">';
+    html += `<div class="track-detail">Decoding: ${captionChannel !== 'off' ? `<span style="color: #22c55e">${captionChannel} ✓</span>` : 'Off'}</div>`;
+    const pipelineStats = subtitlePipeline?.stats;
+    if (pipelineStats && pipelineStats.videoPID !== null) {
+        html += `<div class="track-detail">Video PID: ${pipelineStats.videoPID} (stream type 0x${pipelineStats.videoStreamType.toString(16).padStart(2, '0')})</div>`;
+    }
+    if (pipelineStats && captionChannel !== 'off') {
+        const ccStats = pipelineStats.captions;
+        const channels = Object.entries(ccStats.channels);
+        html += `<div class="track-detail">Pictures with cc_data: ${ccStats.pictures} | Triplets: ${ccStats.ccTriplets} | DTVCC packets: ${ccStats.dtvccPackets}</div>`;
+        html += `<div class="track-detail">Parity errors: ${ccStats.parityErrors}</div>`;
+        html += `<div class="track-detail">Channels with captions: ${channels.length > 0 ? channels.map(([name, cues]) => `${name} (${cues})`).join(', ') : '-'}</div>`;
+    }
+    html += '</div>';
+    
     // Recent bitmaps preview
     if (recentBitmaps.length > 0) {
         html += '<div class="tree-section">Recent Bitmap Subtitles</div>';
@@ -2296,14 +3322,19 @@ function refreshSubtitlesTab() {
     html += '<div class="tree-section">Extracted Cues</div>';
     html += '<div class="track-item">';
     html += `<div class="track-detail">Total Cues: ${extractedCues.length}</div>`;
+    html += `<div class="track-detail">Bitmap Cues: ${bitmapCues.length}${bitmapCues.length === MAX_BITMAP_CUES ? ' (latest kept)' : ''}</div>`;
     html += `<div class="track-detail">Output Format: ${ctrlSubFormat.value.toUpperCase()}</div>`;
     html += '</div>';
     
+    const imageFormat = ctrlSubFormat.value === 'sup' || ctrlSubFormat.value === 'vobsub';
+    
     // VTT/SRT Preview
     if (extractedCues.length > 0) {
-        html += '<div class="tree-section">Generated Output Preview</div>';
-        const preview = ctrlSubFormat.value === 'vtt' ? generateVTT() : generateSRT();
-        html += `<div class="vtt-preview">${escapeHtml(preview.substring(0, 2000))}${preview.length > 2000 ? '\n...(truncated)' : ''}</div>`;
+        if (!imageFormat) {
+            html += '<div class="tree-section">Generated Output Preview</div>';
+            const preview = ctrlSubFormat.value === 'vtt' ? generateVTT() : ctrlSubFormat.value === 'ass' ? generateASS() : generateSRT();
+            html += `<div class="vtt-preview">${escapeHtml(preview.substring(0, 2000))}${preview.length > 2000 ? '\n...(truncated)' : ''}</div>`;
+        }
         
         // Recent cues list
         html += '<div class="tree-section">Recent Cues (newest first)</div>';
@@ -2311,12 +3342,12 @@ function refreshSubtitlesTab() {
         recentCues.forEach(cue => {
             const confidenceClass = cue.confidence >= 80 ? 'high' : cue.confidence >= 50 ? 'medium' : 'low';
             html += '<div class="subtitle-cue">';
-            html += `<div class="subtitle-cue-time">${formatVTTTime(cue.start)} → ${formatVTTTime(cue.end)}`;
+            html += `<div class="subtitle-cue-time">${formatVTTTime(cue.start)} → ${formatVTTTime(cue.end)}${cue.channel ? ` [${cue.channel}]` : ''}`;
             if (cue.confidence) {
                 html += ` <span class="ocr-confidence ${confidenceClass}">(${cue.confidence.toFixed(0)}% confidence)</span>`;
             }
             html += '</div>';
-            html += `<div class="subtitle-cue-text">${escapeHtml(cue.text)}</div>`;
+            html += `<div class="subtitle-cue-text">${formatCueHtml(cue)}</div>`;
             html += '</div>';
         });
         
@@ -2334,7 +3365,7 @@ function refreshSubtitlesTab() {
     html += '<button class="btn btn-small" id="addManualCue">Add Test Cue at Current Time</button>';
     html += '</div>';
     
-    subtitlesTab.innerHTML = html;
+    subtitlesTabContent.innerHTML = html;
     
     // Draw bitmap previews
     recentBitmaps.slice(-5).reverse().forEach((bitmap, idx) => {
@@ -2359,6 +3390,119 @@ function refreshSubtitlesTab() {
             textInput.value = '';
         }
     });
+    
+    subtitlesTabContent.querySelectorAll('.dvb-sub-page').forEach(el => {
+        el.addEventListener('click', () => {
+            const pid = el.dataset.pid === 'auto' ? null : parseInt(el.dataset.pid, 10);
+            const page = pid === null || el.dataset.page === 'auto' ? null : parseInt(el.dataset.page, 10);
+            subtitlePipeline.selectDVBSubPage(pid, page);
+            logEvent('dvb-sub', pid === null ? 'DVB-SUB service auto selected' : `DVB-SUB PID ${pid}${page !== null ? ` page ${page}` : ''} selected`, 'info');
+            refreshSubtitlesTab();
+        });
+    });
+    subtitlesTabContent.querySelectorAll('.teletext-page').forEach(el => {
+        el.addEventListener('click', () => {
+            const page = el.dataset.page === 'auto' ? null : parseInt(el.dataset.page, 10);
+            subtitlePipeline.selectTeletextPage(page);
+            logEvent('teletext', `Page ${page === null ? 'auto' : page} selected`, 'info');
+            refreshSubtitlesTab();
+        });
+    });
+}
+
+/**
+ * Cue text for the cue list, DVB lines in their colour and italics
+ */
+function formatCueHtml(cue) {
+    if (!cue.lines || cue.lines.length === 0) return escapeHtml(cue.text);
+    
+    return cue.lines.map(line => {
+        const color = line.color ? `color: rgb(${line.color.r}, ${line.color.g}, ${line.color.b});` : '';
+        const italic = line.italic ? ' font-style: italic;' : '';
+        return `<span style="${color}${italic}">${escapeHtml(line.text)}</span>`;
+    }).join('<br>');
+}
+
+/**
+ * OCR preprocessing settings, previewed on the latest bitmap. Built once
+ * outside the re-rendered tab content; only the preview is redrawn.
+ */
+function initOCRPreprocessPanel() {
+    let html = '<div class="tree-section">OCR Preprocessing</div>';
+    html += '<div class="track-item">';
+    html += '<div class="ocr-preprocess-controls">';
+    html += `<label><input type="checkbox" data-setting="enabled"${ocrPreprocess.enabled ? ' checked' : ''}> Enabled</label>`;
+    html += `<label>Foreground <select data-setting="foreground">`;
+    html += `<option value="clut"${ocrPreprocess.foreground === 'clut' ? ' selected' : ''}>Text colour</option>`;
+    html += `<option value="luma"${ocrPreprocess.foreground === 'luma' ? ' selected' : ''}>Brightness</option>`;
+    html += '</select></label>';
+    html += `<label><input type="checkbox" data-setting="removeOutline"${ocrPreprocess.removeOutline ? ' checked' : ''}> Remove outline</label>`;
+    html += `<label>Scale <input type="number" data-setting="scale" min="1" max="4" step="1" value="${ocrPreprocess.scale}"></label>`;
+    html += `<label><input type="checkbox" data-setting="binarize"${ocrPreprocess.binarize ? ' checked' : ''}> Binarize</label>`;
+    html += `<label>Threshold <input type="range" data-setting="threshold" min="1" max="254" value="${ocrPreprocess.threshold}"></label>`;
+    html += `<label>Padding <input type="number" data-setting="padding" min="0" max="64" step="1" value="${ocrPreprocess.padding}"></label>`;
+    html += '</div>';
+    html += '<div class="track-detail" id="ocrPreviewEmpty">No bitmaps to preview yet.</div>';
+    html += '<div class="dvb-bitmap-preview" id="ocrPreview" style="display: none;">';
+    html += '<div class="track-detail" id="ocrPaletteInfo"></div>';
+    html += '<div class="track-detail">Before</div>';
+    html += '<canvas id="ocrPreviewBefore"></canvas>';
+    html += '<div class="track-detail">After</div>';
+    html += '<canvas id="ocrPreviewAfter"></canvas>';
+    html += '</div>';
+    html += '</div>';
+    
+    ocrPreprocessPanel.innerHTML = html;
+    
+    ocrPreprocessPanel.querySelectorAll('.ocr-preprocess-controls [data-setting]').forEach(el => {
+        el.addEventListener(el.type === 'range' ? 'input' : 'change', () => {
+            const setting = el.dataset.setting;
+            const value = el.type === 'checkbox' ? el.checked : el.tagName === 'SELECT' ? el.value : parseInt(el.value, 10);
+            if (typeof value === 'number' && isNaN(value)) return;
+            
+            ocrPreprocess = { ...ocrPreprocess, [setting]: value };
+            // The subtitle pipeline preprocesses the bitmaps; text read with the old settings goes
+            subtitlePipeline?.setPreprocess(ocrPreprocess);
+            dvbSubDecoder?.clearOCRCache();
+            drawPreprocessPreview(true);
+            if (el.type !== 'range') {
+                logEvent('ocr-preprocess', `${setting}: ${value}`, 'info');
+            }
+        });
+    });
+}
+
+/**
+ * Latest bitmap before and after OCR preprocessing, with the colours
+ * picked from its palette. The after image is the one the subtitle
+ * pipeline made, unless the settings just changed (recompute).
+ */
+function drawPreprocessPreview(recompute = false) {
+    const bitmap = recentBitmaps[recentBitmaps.length - 1];
+    document.getElementById('ocrPreviewEmpty').style.display = bitmap ? 'none' : '';
+    document.getElementById('ocrPreview').style.display = bitmap ? '' : 'none';
+    if (!bitmap) return;
+    
+    const before = document.getElementById('ocrPreviewBefore');
+    const after = document.getElementById('ocrPreviewAfter');
+    before.width = bitmap.canvas.width;
+    before.height = bitmap.canvas.height;
+    before.getContext('2d').drawImage(bitmap.canvas, 0, 0);
+    
+    let processed = bitmap.canvas;
+    if (ocrPreprocess.enabled) {
+        processed = !recompute && bitmap.ocrCanvas ? bitmap.ocrCanvas : preprocessForOCR(bitmap.canvas, ocrPreprocess);
+    }
+    after.width = processed.width;
+    after.height = processed.height;
+    after.getContext('2d').drawImage(processed, 0, 0);
+    
+    const palette = analyzePalette(bitmap.canvas);
+    const swatch = (label, color) => color
+        ? `${label} <span class="ocr-color-swatch" style="background: rgba(${color.r}, ${color.g}, ${color.b}, ${color.a / 255})"></span>`
+        : `${label} -`;
+    document.getElementById('ocrPaletteInfo').innerHTML =
+        `${swatch('Text', palette.text)} | ${swatch('Outline', palette.outline)} | ${swatch('Box', palette.box)} | Colours: ${palette.colors.length}`;
 }
 
 // ========================
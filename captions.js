@@ -0,0 +1,849 @@
+/**
+ * CEA-608/708 Closed Caption Decoder
+ *
+ * ATSC and cable channels carry captions inside the video elementary
+ * stream as A/53 cc_data, tagged 'GA94':
+ * - MPEG-2 video: user_data (start code 0xB2) after the picture header
+ * - H.264/HEVC: SEI user_data_registered_itu_t_t35 (country 0xB5, provider 0x0031)
+ *
+ * Each cc_data triplet is either a CEA-608 byte pair (field 1 = CC1/CC2,
+ * field 2 = CC3/CC4) or part of a CEA-708 DTVCC packet carrying up to
+ * 63 caption services.
+ *
+ * Pictures arrive in decode order, so cc_data is reordered by PTS before
+ * decoding. Cue times are the PTS of the picture carrying the data.
+ */
+
+import { PTS_WRAP } from './ts-packet.js';
+
+// Video stream types that can carry A/53 captions
+const VIDEO_CODECS = {
+    0x01: 'mpeg2',
+    0x02: 'mpeg2',
+    0x80: 'mpeg2',  // DigiCipher II video on cable
+    0x1B: 'h264',
+    0x24: 'hevc'
+};
+
+// CEA-608 characters that differ from ASCII
+const BASIC_CHARS = {
+    0x27: '’', 0x2A: 'á', 0x5C: 'é', 0x5E: 'í', 0x5F: 'ó', 0x60: 'ú',
+    0x7B: 'ç', 0x7C: '÷', 0x7D: 'Ñ', 0x7E: 'ñ', 0x7F: '█'
+};
+
+// 0x11 0x30-0x3F
+const SPECIAL_CHARS = '®°½¿™¢£♪à èâêîôû';
+
+// 0x12/0x13 0x20-0x3F, each replaces the standard character sent before it
+const EXTENDED_CHARS = {
+    0x12: 'ÁÉÓÚÜü‘¡*’—©℠•“”ÀÂÇÈÊËëÎÏïÔÙùÛ«»',
+    0x13: 'ÃãÍÌìÒòÕõ{}\\^_|~ÄäÖöß¥¤│ÅåØø┌┐└┘'
+};
+
+// Preamble address code first byte (channel bit cleared) -> [row, row] for the two second-byte ranges
+const PAC_ROWS = {
+    0x11: [1, 2], 0x12: [3, 4], 0x15: [5, 6], 0x16: [7, 8],
+    0x17: [9, 10], 0x10: [11, 11], 0x13: [12, 13], 0x14: [14, 15]
+};
+
+// CEA-708 G2 characters (after EXT1)
+const G2_CHARS = {
+    0x20: ' ', 0x21: ' ', 0x25: '…', 0x2A: 'Š', 0x2C: 'Œ', 0x30: '█',
+    0x31: '‘', 0x32: '’', 0x33: '“', 0x34: '”', 0x35: '•', 0x39: '™',
+    0x3A: 'š', 0x3C: 'œ', 0x3D: '℠', 0x3F: 'Ÿ', 0x76: '⅛', 0x77: '⅜',
+    0x78: '⅝', 0x79: '⅞', 0x7A: '│', 0x7B: '┐', 0x7C: '└', 0x7D: '─',
+    0x7E: '┘', 0x7F: '┌'
+};
+
+const ROWS_608 = 15;
+const COLUMNS_608 = 32;
+
+function oddParity(byte) {
+    let bits = byte;
+    bits ^= bits >> 4;
+    bits ^= bits >> 2;
+    bits ^= bits >> 1;
+    return (bits & 1) === 1;
+}
+
+/**
+ * Find the next 00 00 01 start code
+ * @returns {number} Offset of the byte after the start code, or -1
+ */
+function nextStartCode(data, from) {
+    for (let i = from; i + 2 < data.length; i++) {
+        // data[i + 2] > 1 rules out start codes at i, i + 1 and i + 2
+        if (data[i + 2] > 1) {
+            i += 2;
+            continue;
+        }
+        if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+            return i + 3;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Strip emulation prevention bytes (00 00 03) from a NAL unit
+ */
+function unescapeRBSP(data) {
+    const out = new Uint8Array(data.length);
+    let length = 0;
+    let zeros = 0;
+
+    for (let i = 0; i < data.length; i++) {
+        const byte = data[i];
+        if (zeros >= 2 && byte === 0x03) {
+            zeros = 0;
+            continue;
+        }
+        out[length++] = byte;
+        zeros = byte === 0 ? zeros + 1 : 0;
+    }
+
+    return out.subarray(0, length);
+}
+
+function isGA94(data, offset) {
+    return data[offset] === 0x47 && data[offset + 1] === 0x41 &&
+           data[offset + 2] === 0x39 && data[offset + 3] === 0x34;
+}
+
+function parseSEI(rbsp, blocks) {
+    let offset = 0;
+
+    // Stop at the rbsp_trailing_bits
+    while (offset + 2 <= rbsp.length && rbsp[offset] !== 0x80) {
+        let payloadType = 0;
+        while (rbsp[offset] === 0xFF) {
+            payloadType += 255;
+            offset++;
+        }
+        payloadType += rbsp[offset++];
+
+        let payloadSize = 0;
+        while (rbsp[offset] === 0xFF) {
+            payloadSize += 255;
+            offset++;
+        }
+        payloadSize += rbsp[offset++];
+
+        if (offset + payloadSize > rbsp.length) break;
+
+        if (payloadType === 4) {
+            const payload = rbsp.subarray(offset, offset + payloadSize);
+            if (payload[0] === 0xB5 && payload[1] === 0x00 && payload[2] === 0x31 &&
+                isGA94(payload, 3) && payload[7] === 0x03) {
+                blocks.push(payload.subarray(8));
+            }
+        }
+
+        offset += payloadSize;
+    }
+}
+
+/**
+ * Extract A/53 cc_data() blocks from one video PES payload
+ * @param {Uint8Array} data - PES payload (elementary stream bytes)
+ * @param {number} streamType - PMT stream_type of the video PID
+ * @returns {Uint8Array[]} cc_data blocks, each starting at the cc_count byte
+ */
+export function extractCCData(data, streamType) {
+    const codec = VIDEO_CODECS[streamType];
+    const blocks = [];
+    if (!codec) return blocks;
+
+    let start = nextStartCode(data, 0);
+
+    while (start >= 0 && start < data.length) {
+        const next = nextStartCode(data, start);
+        const end = next >= 0 ? next - 3 : data.length;
+        const code = data[start];
+
+        if (codec === 'mpeg2') {
+            // Caption user data sits between the picture header and the first slice
+            if (code >= 0x01 && code <= 0xAF) break;
+
+            if (code === 0xB2 && isGA94(data, start + 1) && data[start + 5] === 0x03) {
+                blocks.push(data.subarray(start + 6, end));
+            }
+        } else if (codec === 'h264') {
+            const nalType = code & 0x1F;
+            if (nalType >= 1 && nalType <= 5) break;
+
+            if (nalType === 6) {
+                parseSEI(unescapeRBSP(data.subarray(start + 1, end)), blocks);
+            }
+        } else {
+            const nalType = (code >> 1) & 0x3F;
+
+            // Prefix (39) and suffix (40) SEI; suffix SEI follows the slices, so keep scanning
+            if (nalType === 39 || nalType === 40) {
+                parseSEI(unescapeRBSP(data.subarray(start + 2, end)), blocks);
+            }
+        }
+
+        start = next;
+    }
+
+    return blocks;
+}
+
+/**
+ * One caption channel or service as displayed over time.
+ *
+ * Text that only grows (paint-on, roll-up, 708 text arriving a few
+ * characters at a time) stays one cue, as does a change to the last
+ * character (608 extended characters overwrite the one sent before
+ * them). Anything else ends the cue.
+ */
+class CaptionTrack {
+    constructor(name, source, decoder) {
+        this.name = name;
+        this.source = source;
+        this.decoder = decoder;
+        this.text = '';
+        this.start = 0;
+    }
+
+    update(text, time) {
+        if (text === this.text) return;
+
+        const grown = text.startsWith(this.text);
+        const lastReplaced = text.length === this.text.length && text.startsWith(this.text.slice(0, -1));
+        if (this.text && (grown || lastReplaced)) {
+            this.text = text;
+            this.decoder.display(this, text);
+            return;
+        }
+
+        this.end(time);
+        this.text = text;
+        this.start = time;
+        this.decoder.display(this, text);
+    }
+
+    end(time) {
+        if (this.text) {
+            this.decoder.emit(this, {
+                text: this.text,
+                start: this.start,
+                end: Math.max(time, this.start)
+            });
+        }
+        this.text = '';
+    }
+}
+
+function createGrid() {
+    return Array.from({ length: ROWS_608 }, () => new Array(COLUMNS_608).fill(' '));
+}
+
+/**
+ * CEA-608 caption channel (displayed and non-displayed memory)
+ */
+class CEA608Channel {
+    constructor(track) {
+        this.track = track;
+        this.reset();
+    }
+
+    reset() {
+        this.mode = 'popon';
+        this.displayed = createGrid();
+        this.nonDisplayed = createGrid();
+        this.row = ROWS_608 - 1;
+        this.col = 0;
+        this.rollUpRows = 2;
+    }
+
+    /**
+     * Memory that characters are written to in the current mode
+     */
+    get memory() {
+        return this.mode === 'popon' ? this.nonDisplayed : this.displayed;
+    }
+
+    write(char) {
+        if (this.mode === 'text') return;
+
+        this.memory[this.row][Math.min(this.col, COLUMNS_608 - 1)] = char;
+        if (this.col < COLUMNS_608) this.col++;
+    }
+
+    /**
+     * Handle a control code pair (first byte with the channel bit cleared)
+     */
+    control(b1, b2) {
+        if ((b1 === 0x14 || b1 === 0x15) && b2 >= 0x20 && b2 <= 0x2F) {
+            this.command(b2);
+        } else if (b1 === 0x17 && b2 >= 0x21 && b2 <= 0x23) {
+            // Tab offset 1-3
+            this.col = Math.min(COLUMNS_608 - 1, this.col + b2 - 0x20);
+        } else if (b1 === 0x11 && b2 >= 0x20 && b2 <= 0x2F) {
+            // Mid-row style change, shown as a space
+            this.write(' ');
+        } else if (b1 === 0x11 && b2 >= 0x30 && b2 <= 0x3F) {
+            this.write(SPECIAL_CHARS[b2 - 0x30]);
+        } else if ((b1 === 0x12 || b1 === 0x13) && b2 >= 0x20 && b2 <= 0x3F) {
+            if (this.col > 0) this.col--;
+            this.write(EXTENDED_CHARS[b1][b2 - 0x20]);
+        } else if (b2 >= 0x40 && b2 <= 0x7F) {
+            this.preamble(b1, b2);
+        }
+    }
+
+    preamble(b1, b2) {
+        const rows = PAC_ROWS[b1];
+        if (!rows) return;
+
+        const row = rows[(b2 & 0x20) ? 1 : 0] - 1;
+
+        // Roll-up captions move with their base row
+        if (this.mode === 'rollup' && row !== this.row) {
+            const moved = [];
+            for (let k = this.rollUpRows - 1; k >= 0; k--) {
+                moved.push(this.row - k >= 0 ? this.displayed[this.row - k] : new Array(COLUMNS_608).fill(' '));
+            }
+            this.displayed = createGrid();
+            moved.forEach((line, i) => {
+                const target = row - (this.rollUpRows - 1) + i;
+                if (target >= 0) this.displayed[target] = line;
+            });
+        }
+
+        this.row = row;
+        // Indent codes set the cursor in steps of 4 columns
+        this.col = (b2 & 0x10) ? ((b2 & 0x0E) >> 1) * 4 : 0;
+    }
+
+    command(code) {
+        switch (code) {
+            case 0x20: // RCL - resume caption loading
+                this.mode = 'popon';
+                break;
+            case 0x21: // BS - backspace
+                if (this.col > 0) {
+                    this.col--;
+                    this.memory[this.row][this.col] = ' ';
+                }
+                break;
+            case 0x24: // DER - delete to end of row
+                this.memory[this.row].fill(' ', Math.min(this.col, COLUMNS_608));
+                break;
+            case 0x25: // RU2, RU3, RU4 - roll-up captions
+            case 0x26:
+            case 0x27:
+                if (this.mode !== 'rollup') {
+                    this.displayed = createGrid();
+                    this.nonDisplayed = createGrid();
+                    this.row = ROWS_608 - 1;
+                }
+                this.mode = 'rollup';
+                this.rollUpRows = code - 0x23;
+                this.col = 0;
+                break;
+            case 0x29: // RDC - resume direct captioning
+                this.mode = 'painton';
+                break;
+            case 0x2A: // TR - text restart
+            case 0x2B: // RTD - resume text display
+                this.mode = 'text';
+                break;
+            case 0x2C: // EDM - erase displayed memory
+                this.displayed = createGrid();
+                break;
+            case 0x2D: // CR - carriage return
+                if (this.mode === 'rollup') {
+                    const top = Math.max(0, this.row - this.rollUpRows + 1);
+                    for (let r = top; r < this.row; r++) {
+                        this.displayed[r] = this.displayed[r + 1];
+                    }
+                    this.displayed[this.row] = new Array(COLUMNS_608).fill(' ');
+                    this.col = 0;
+                }
+                break;
+            case 0x2E: // ENM - erase non-displayed memory
+                this.nonDisplayed = createGrid();
+                break;
+            case 0x2F: // EOC - end of caption, flip memories
+                [this.displayed, this.nonDisplayed] = [this.nonDisplayed, this.displayed];
+                this.mode = 'popon';
+                break;
+            // 0x22 AOF, 0x23 AON, 0x28 FON: nothing to render
+        }
+    }
+
+    getText() {
+        return this.displayed
+            .map(row => row.join('').trim())
+            .filter(line => line.length > 0)
+            .join('\n');
+    }
+
+    update(time) {
+        this.track.update(this.getText(), time);
+    }
+}
+
+/**
+ * One CEA-608 field: two data channels plus XDS on field 2
+ */
+class CEA608Field {
+    constructor(tracks, decoder) {
+        this.decoder = decoder;
+        this.channels = tracks.map(track => new CEA608Channel(track));
+        this.active = 0;
+        this.lastControl = null;
+        this.xds = false;
+    }
+
+    decode(b1, b2, time) {
+        if (!oddParity(b1) || !oddParity(b2)) {
+            this.decoder.stats.parityErrors++;
+            return;
+        }
+
+        b1 &= 0x7F;
+        b2 &= 0x7F;
+
+        // Padding
+        if (b1 === 0 && b2 === 0) return;
+
+        if (b1 >= 0x10 && b1 <= 0x1F) {
+            // Control codes are sent twice; act on the first only
+            const code = (b1 << 8) | b2;
+            if (code === this.lastControl) {
+                this.lastControl = null;
+                return;
+            }
+            this.lastControl = code;
+            this.xds = false;
+
+            this.active = (b1 & 0x08) ? 1 : 0;
+            this.channels[this.active].control(b1 & 0xF7, b2);
+        } else {
+            this.lastControl = null;
+
+            // Extended data services (program info) run until the next control code
+            if (b1 >= 0x01 && b1 <= 0x0F) {
+                this.xds = true;
+                return;
+            }
+            if (this.xds) return;
+
+            const channel = this.channels[this.active];
+            if (b1 >= 0x20) channel.write(BASIC_CHARS[b1] || String.fromCharCode(b1));
+            if (b2 >= 0x20) channel.write(BASIC_CHARS[b2] || String.fromCharCode(b2));
+        }
+
+        this.channels[this.active].update(time);
+    }
+
+    reset() {
+        this.channels.forEach(channel => channel.reset());
+        this.active = 0;
+        this.lastControl = null;
+        this.xds = false;
+    }
+}
+
+/**
+ * CEA-708 caption service: up to 8 windows of text
+ */
+class DTVCCService {
+    constructor(track) {
+        this.track = track;
+        this.reset();
+    }
+
+    reset() {
+        this.windows = new Array(8).fill(null);
+        this.current = 0;
+    }
+
+    process(data, time) {
+        let i = 0;
+
+        while (i < data.length) {
+            const code = data[i];
+
+            if (code === 0x10) {
+                i += 1 + this.extended(data, i + 1);
+            } else if (code < 0x20) {
+                i += this.c0(code);
+            } else if (code < 0x80) {
+                this.write(code === 0x7F ? '♪' : String.fromCharCode(code));
+                i++;
+            } else if (code < 0xA0) {
+                i += this.c1(code, data, i);
+            } else {
+                // G1: ISO 8859-1
+                this.write(String.fromCharCode(code));
+                i++;
+            }
+        }
+
+        this.track.update(this.getText(), time);
+    }
+
+    /**
+     * C0 controls
+     * @returns {number} Bytes consumed
+     */
+    c0(code) {
+        const window = this.windows[this.current];
+
+        if (window) {
+            if (code === 0x08 && window.col > 0) {
+                // BS
+                window.col--;
+                window.rows[window.row][window.col] = ' ';
+            } else if (code === 0x0C) {
+                // FF - clear window, cursor home
+                window.rows = window.rows.map(() => []);
+                window.row = 0;
+                window.col = 0;
+            } else if (code === 0x0D) {
+                // CR - next row, scrolling at the bottom
+                window.col = 0;
+                if (++window.row >= window.rowCount) {
+                    window.rows.shift();
+                    window.rows.push([]);
+                    window.row = window.rowCount - 1;
+                }
+            } else if (code === 0x0E) {
+                // HCR - clear row, cursor to start
+                window.rows[window.row] = [];
+                window.col = 0;
+            }
+        }
+
+        if (code >= 0x18) return 3;  // P16 and reserved: 2-byte argument
+        if (code >= 0x11) return 2;
+        return 1;
+    }
+
+    /**
+     * EXT1 code set: C2, G2, C3, G3
+     * @returns {number} Bytes consumed after EXT1
+     */
+    extended(data, i) {
+        const code = data[i];
+        if (code === undefined) return 0;
+
+        if (code < 0x08) return 1;
+        if (code < 0x10) return 2;
+        if (code < 0x18) return 3;
+        if (code < 0x20) return 4;
+        if (code < 0x80) {
+            if (G2_CHARS[code]) this.write(G2_CHARS[code]);
+            return 1;
+        }
+        if (code < 0x88) return 5;
+        if (code < 0x90) return 6;
+        // Variable length: the header byte holds the type in its top bits, the length in the low five
+        if (code < 0xA0) return 2 + ((data[i + 1] || 0) & 0x1F);
+        // G3: only the [CC] icon is defined
+        return 1;
+    }
+
+    /**
+     * C1 window and pen commands
+     * @returns {number} Bytes consumed
+     */
+    c1(code, data, i) {
+        if (code <= 0x87) {
+            // CW0-CW7 - set current window
+            this.current = code - 0x80;
+            return 1;
+        }
+
+        if (code >= 0x98) {
+            // DF0-DF7 - define window
+            this.defineWindow(code - 0x98, data, i + 1);
+            return 7;
+        }
+
+        const eachWindow = (mask, fn) => {
+            for (let id = 0; id < 8; id++) {
+                if ((mask & (1 << id)) && this.windows[id]) fn(this.windows[id], id);
+            }
+        };
+
+        switch (code) {
+            case 0x88: // CLW - clear windows
+                eachWindow(data[i + 1], window => {
+                    window.rows = window.rows.map(() => []);
+                    window.row = 0;
+                    window.col = 0;
+                });
+                return 2;
+            case 0x89: // DSW - display windows
+                eachWindow(data[i + 1], window => { window.visible = true; });
+                return 2;
+            case 0x8A: // HDW - hide windows
+                eachWindow(data[i + 1], window => { window.visible = false; });
+                return 2;
+            case 0x8B: // TGW - toggle windows
+                eachWindow(data[i + 1], window => { window.visible = !window.visible; });
+                return 2;
+            case 0x8C: // DLW - delete windows
+                eachWindow(data[i + 1], (window, id) => { this.windows[id] = null; });
+                return 2;
+            case 0x8D: // DLY - delay
+                return 2;
+            case 0x8E: // DLC - delay cancel
+                return 1;
+            case 0x8F: // RST - reset
+                this.reset();
+                return 1;
+            case 0x90: // SPA - pen attributes
+                return 3;
+            case 0x91: // SPC - pen color
+                return 4;
+            case 0x92: { // SPL - pen location
+                const window = this.windows[this.current];
+                if (window) {
+                    window.row = Math.min(data[i + 1] & 0x0F, window.rowCount - 1);
+                    window.col = data[i + 2] & 0x3F;
+                }
+                return 3;
+            }
+            case 0x97: // SWA - window attributes
+                return 5;
+            default: // 0x93-0x96 reserved
+                return 1;
+        }
+    }
+
+    defineWindow(id, data, offset) {
+        const rowCount = (data[offset + 3] & 0x0F) + 1;
+
+        let window = this.windows[id];
+        if (!window) {
+            window = { rows: [], row: 0, col: 0 };
+            this.windows[id] = window;
+        }
+
+        window.visible = (data[offset] & 0x20) !== 0;
+        window.priority = data[offset] & 0x07;
+        window.rowCount = rowCount;
+        window.colCount = (data[offset + 4] & 0x3F) + 1;
+
+        // Redefinition keeps the text, trimmed or padded to the new size
+        while (window.rows.length > rowCount) window.rows.shift();
+        while (window.rows.length < rowCount) window.rows.push([]);
+        window.row = Math.min(window.row, rowCount - 1);
+
+        this.current = id;
+    }
+
+    write(char) {
+        const window = this.windows[this.current];
+        if (!window) return;
+
+        window.rows[window.row][window.col++] = char;
+    }
+
+    getText() {
+        return this.windows
+            .filter(window => window && window.visible)
+            .sort((a, b) => a.priority - b.priority)
+            .flatMap(window => window.rows.map(row => Array.from(row, c => c || ' ').join('').trim()))
+            .filter(line => line.length > 0)
+            .join('\n');
+    }
+}
+
+export class CaptionDecoder {
+    constructor(options = {}) {
+        this.onCue = options.onCue || (() => {});
+        this.onDisplay = options.onDisplay || (() => {});
+        this.onLog = options.onLog || console.log;
+
+        // Channel whose cues are reported (CC1-CC4, SERVICE1-SERVICE63)
+        this.channel = options.channel || 'CC1';
+        // Pictures held back to put cc_data into presentation order
+        this.reorderDepth = options.reorderDepth || 8;
+
+        this.reset();
+    }
+
+    reset() {
+        this.queue = [];
+        this.lastTime = 0;
+        this.tracks = new Map();
+
+        this.fields = [
+            new CEA608Field([this.getTrack('CC1', 'cea-608'), this.getTrack('CC2', 'cea-608')], this),
+            new CEA608Field([this.getTrack('CC3', 'cea-608'), this.getTrack('CC4', 'cea-608')], this)
+        ];
+        this.services = new Map();
+        this.dtvccPacket = null;
+
+        this.stats = {
+            pictures: 0,
+            ccTriplets: 0,
+            parityErrors: 0,
+            dtvccPackets: 0,
+            // channel -> cues decoded
+            channels: {}
+        };
+    }
+
+    getTrack(name, source) {
+        let track = this.tracks.get(name);
+        if (!track) {
+            track = new CaptionTrack(name, source, this);
+            this.tracks.set(name, track);
+        }
+        return track;
+    }
+
+    /**
+     * Switch the reported channel, closing the cue on screen
+     */
+    setChannel(channel) {
+        this.flush();
+        this.channel = channel;
+    }
+
+    /**
+     * Decode one video PES payload
+     * @param {Uint8Array} data - Elementary stream bytes
+     * @param {number} pts - Presentation timestamp (90kHz)
+     * @param {number} streamType - PMT stream_type
+     */
+    decode(data, pts, streamType) {
+        const blocks = extractCCData(data, streamType);
+        if (blocks.length === 0) return;
+
+        this.stats.pictures++;
+
+        // Insert in PTS order, allowing for the 33-bit wrap
+        const half = PTS_WRAP / 2;
+        let index = this.queue.length;
+        while (index > 0 && ((this.queue[index - 1].pts - pts + PTS_WRAP + half) % PTS_WRAP) - half > 0) {
+            index--;
+        }
+        this.queue.splice(index, 0, { pts, blocks });
+
+        while (this.queue.length > this.reorderDepth) {
+            this.processPicture(this.queue.shift());
+        }
+    }
+
+    processPicture(picture) {
+        const time = picture.pts / 90000;
+        this.lastTime = time;
+
+        for (const block of picture.blocks) {
+            // process_cc_data_flag
+            if (!(block[0] & 0x40)) continue;
+
+            const count = block[0] & 0x1F;
+            for (let i = 0; i < count; i++) {
+                const offset = 2 + i * 3;
+                if (offset + 3 > block.length) break;
+
+                const header = block[offset];
+                if (!(header & 0x04)) continue; // cc_valid
+
+                this.stats.ccTriplets++;
+                const type = header & 0x03;
+
+                if (type <= 1) {
+                    this.fields[type].decode(block[offset + 1], block[offset + 2], time);
+                } else {
+                    this.pushDTVCC(type, block[offset + 1], block[offset + 2], time);
+                }
+            }
+        }
+    }
+
+    pushDTVCC(type, b1, b2, time) {
+        if (type === 3) {
+            // Packet start: sequence number and size in the first byte
+            this.finishDTVCC(time);
+            const sizeCode = b1 & 0x3F;
+            this.dtvccPacket = { size: sizeCode === 0 ? 127 : sizeCode * 2 - 1, data: [b2] };
+        } else if (this.dtvccPacket) {
+            this.dtvccPacket.data.push(b1, b2);
+        }
+
+        if (this.dtvccPacket && this.dtvccPacket.data.length >= this.dtvccPacket.size) {
+            this.finishDTVCC(time);
+        }
+    }
+
+    finishDTVCC(time) {
+        if (!this.dtvccPacket) return;
+
+        const data = this.dtvccPacket.data.slice(0, this.dtvccPacket.size);
+        this.dtvccPacket = null;
+        this.stats.dtvccPackets++;
+
+        let offset = 0;
+        while (offset < data.length) {
+            let serviceNumber = data[offset] >> 5;
+            const blockSize = data[offset] & 0x1F;
+            offset++;
+
+            // Null service block: the rest is padding
+            if (serviceNumber === 0) break;
+
+            if (serviceNumber === 7) {
+                if (offset >= data.length) break;
+                serviceNumber = data[offset++] & 0x3F;
+            }
+
+            let service = this.services.get(serviceNumber);
+            if (!service) {
+                service = new DTVCCService(this.getTrack(`SERVICE${serviceNumber}`, 'cea-708'));
+                this.services.set(serviceNumber, service);
+            }
+
+            service.process(data.slice(offset, offset + blockSize), time);
+            offset += blockSize;
+        }
+    }
+
+    display(track, text) {
+        if (track.name === this.channel) {
+            this.onDisplay(text, track.name);
+        }
+    }
+
+    emit(track, cue) {
+        this.stats.channels[track.name] = (this.stats.channels[track.name] || 0) + 1;
+
+        if (track.name === this.channel) {
+            this.onCue({ ...cue, channel: track.name, source: track.source });
+        }
+    }
+
+    /**
+     * Decode everything held for reordering and close open cues
+     */
+    flush() {
+        while (this.queue.length > 0) {
+            this.processPicture(this.queue.shift());
+        }
+        this.finishDTVCC(this.lastTime);
+
+        for (const track of this.tracks.values()) {
+            track.end(this.lastTime);
+        }
+        this.onDisplay('', this.channel);
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            channel: this.channel,
+            queued: this.queue.length
+        };
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * Continuity Counter Checking and Packet Loss Tracking
+ *
+ * checkContinuity() holds the ISO/IEC 13818-1 2.4.3.3 rules shared by the
+ * TR 101 290 monitor and the packet loss tracker: the 4-bit counter steps
+ * on every packet with payload, may repeat once (duplicate packet), and
+ * restarts when the discontinuity_indicator is set.
+ */
+
+import { NULL_PID, parsePacketHeader } from './ts-packet.js';
+
+export function createContinuityState() {
+    return { cc: null, duplicates: 0 };
+}
+
+/**
+ * Check one packet's continuity counter against the PID's state
+ * @param {{cc: number|null, duplicates: number}} state - Per-PID state, updated in place
+ * @param {Object} header - From parsePacketHeader()
+ * @returns {Object|null} null if in order, otherwise
+ *   { kind: 'loss', expected, got, missing } |
+ *   { kind: 'duplicate', repeats, allowed } |
+ *   { kind: 'noPayload', expected, got }
+ */
+export function checkContinuity(state, header) {
+    const cc = header.continuityCounter;
+
+    if (state.cc === null || header.discontinuity) {
+        state.cc = cc;
+        state.duplicates = 0;
+        return null;
+    }
+
+    // The counter only increments on packets that carry payload
+    if (!header.hasPayload) {
+        return cc !== state.cc ? { kind: 'noPayload', expected: state.cc, got: cc } : null;
+    }
+
+    if (cc === state.cc) {
+        // One duplicate is allowed
+        state.duplicates++;
+        return { kind: 'duplicate', repeats: state.duplicates + 1, allowed: state.duplicates === 1 };
+    }
+
+    const expected = (state.cc + 1) & 0x0F;
+    state.cc = cc;
+    state.duplicates = 0;
+
+    if (cc !== expected) {
+        return { kind: 'loss', expected, got: cc, missing: (cc - expected + 16) & 0x0F };
+    }
+
+    return null;
+}
+
+/**
+ * Counts lost packets per PID and per second.
+ *
+ * The missing count is modulo 16: a gap of 16 or more packets on one PID
+ * is under-counted, which TS framing cannot tell apart.
+ */
+export class PacketLossTracker {
+    constructor(options = {}) {
+        this.onLoss = options.onLoss || (() => {});
+        this.historyLength = options.historyLength || 300;
+        this.eventLimit = options.eventLimit || 500;
+
+        this.reset();
+    }
+
+    reset() {
+        // pid -> { cc, duplicates, packets, gaps, lost, duplicatePackets }
+        this.pids = new Map();
+        this.events = [];
+        this.history = [];
+        this.totals = { gaps: 0, lost: 0, duplicates: 0 };
+        this.current = this.createEntry(null);
+        this.lastTick = null;
+    }
+
+    createEntry(time) {
+        return { time, gaps: 0, lost: 0, markers: [] };
+    }
+
+    /**
+     * @param {Uint8Array} packet - 188-byte packet
+     * @param {number} time - Arrival time (ms, performance.now())
+     */
+    processPacket(packet, time) {
+        if (this.lastTick === null) {
+            this.lastTick = time;
+            this.current.time = time;
+        }
+
+        const header = parsePacketHeader(packet);
+
+        // Null packets carry no meaningful counter; errored headers can't be trusted
+        if (header.pid !== NULL_PID && !header.transportError) {
+            let state = this.pids.get(header.pid);
+            if (!state) {
+                state = { ...createContinuityState(), packets: 0, gaps: 0, lost: 0, duplicatePackets: 0 };
+                this.pids.set(header.pid, state);
+            }
+            state.packets++;
+
+            const result = checkContinuity(state, header);
+            if (result?.kind === 'loss') {
+                this.recordLoss(header.pid, state, result, time);
+            } else if (result?.kind === 'duplicate') {
+                state.duplicatePackets++;
+                this.totals.duplicates++;
+            }
+        }
+
+        if (time - this.lastTick >= 1000) {
+            this.tick(time);
+        }
+    }
+
+    recordLoss(pid, state, result, time) {
+        state.gaps++;
+        state.lost += result.missing;
+        this.totals.gaps++;
+        this.totals.lost += result.missing;
+        this.current.gaps++;
+        this.current.lost += result.missing;
+
+        const event = {
+            pid,
+            missing: result.missing,
+            expected: result.expected,
+            got: result.got,
+            time,
+            date: new Date()
+        };
+
+        this.events.push(event);
+        if (this.events.length > this.eventLimit) {
+            this.events.shift();
+        }
+
+        this.onLoss(event);
+    }
+
+    /**
+     * Mark a player event (e.g. stalled, waiting) on the current second
+     */
+    mark(name) {
+        this.current.markers.push(name);
+    }
+
+    tick(time) {
+        this.history.push(this.current);
+        if (this.history.length > this.historyLength) {
+            this.history.shift();
+        }
+
+        this.current = this.createEntry(time);
+        this.lastTick = time;
+    }
+
+    /**
+     * PIDs with at least one gap, worst first
+     */
+    getLossyPIDs() {
+        return Array.from(this.pids.entries())
+            .filter(([, state]) => state.gaps > 0)
+            .map(([pid, state]) => ({
+                pid,
+                packets: state.packets,
+                gaps: state.gaps,
+                lost: state.lost,
+                duplicates: state.duplicatePackets
+            }))
+            .sort((a, b) => b.lost - a.lost);
+    }
+}
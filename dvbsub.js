@@ -9,71 +9,336 @@
  * - Each subtitle has: page_id, region definitions, CLUT (color table), pixel data
  * - Pixels use run-length encoding (RLE) with 2/4/8-bit color depth
  * - Subtitles have display timing (PTS) for synchronization
+ * 
+ * A page is shown from the PTS of its display set until the next display
+ * set of the page, or until its page_time_out expires. An empty display
+ * set clears it.
+ */
+
+import { PSIParser, PSI_PIDS, MGT_TABLE_TYPES } from './psi.js';
+import { readPTS, PTS_WRAP, NULL_PID, TSPacketReader } from './ts-packet.js';
+import { detectLineStyles, styleTextLines } from './subtitle-style.js';
+
+// Display assumed when a stream sends no display definition segment
+const DEFAULT_DISPLAY = { width: 720, height: 576, window: { x: 0, y: 0, width: 720, height: 576 } };
+
+// OCR results kept for pages broadcasters repeat, by bitmap hash
+const OCR_CACHE_SIZE = 200;
+
+// Tesseract workers at most: each holds its own copy of a language model
+const MAX_OCR_WORKERS = 4;
+
+// ISO 639-2/B codes in subtitling descriptors that Tesseract names by the /T code
+const TESSERACT_LANGUAGES = {
+    alb: 'sqi', arm: 'hye', baq: 'eus', bur: 'mya', chi: 'chi_sim', cze: 'ces',
+    dut: 'nld', fre: 'fra', geo: 'kat', ger: 'deu', gre: 'ell', ice: 'isl',
+    mac: 'mkd', may: 'msa', per: 'fas', rum: 'ron', slo: 'slk', tib: 'bod', wel: 'cym'
+};
+
+// page_state values (EN 300 743 7.2.1)
+const PAGE_STATE_NORMAL = 0;
+const PAGE_STATE_ACQUISITION = 1;
+const PAGE_STATE_MODE_CHANGE = 2;
+
+// Default map tables for code strings shallower than the region (EN 300 743 10.4-10.6)
+const DEFAULT_MAP_2_TO_4 = [0x0, 0x7, 0x8, 0xF];
+const DEFAULT_MAP_2_TO_8 = [0x00, 0x77, 0x88, 0xFF];
+const DEFAULT_MAP_4_TO_8 = Array.from({ length: 16 }, (_, i) => i * 0x11);
+
+/**
+ * Default 2, 4 and 8-bit CLUTs (EN 300 743 10.1-10.3)
+ * @returns {{2: Array, 4: Array, 8: Array}} Entries as { r, g, b, a }
+ */
+function createDefaultCLUTs() {
+    const transparent = { r: 0, g: 0, b: 0, a: 0 };
+    
+    const clut2 = [
+        transparent,
+        { r: 255, g: 255, b: 255, a: 255 }, // White
+        { r: 0, g: 0, b: 0, a: 255 },       // Black
+        { r: 127, g: 127, b: 127, a: 255 }  // Gray
+    ];
+    
+    const clut4 = [transparent];
+    for (let i = 1; i < 16; i++) {
+        const level = i < 8 ? 255 : 127;
+        clut4.push({ r: (i & 1) ? level : 0, g: (i & 2) ? level : 0, b: (i & 4) ? level : 0, a: 255 });
+    }
+    
+    const clut8 = [transparent];
+    for (let i = 1; i < 256; i++) {
+        if (i < 8) {
+            clut8.push({ r: (i & 1) ? 255 : 0, g: (i & 2) ? 255 : 0, b: (i & 4) ? 255 : 0, a: 63 });
+            continue;
+        }
+        
+        // b1-b3 and b5-b7 weight the components, b4 and b8 pick the range
+        const low = (bit, high) => ((i & bit) ? 1 : 0) + ((i & high) ? 2 : 0);
+        const r = low(0x01, 0x10), g = low(0x02, 0x20), b = low(0x04, 0x40);
+        
+        switch (i & 0x88) {
+            case 0x00:
+                clut8.push({ r: r * 85, g: g * 85, b: b * 85, a: 255 });
+                break;
+            case 0x08:
+                clut8.push({ r: r * 85, g: g * 85, b: b * 85, a: 127 });
+                break;
+            case 0x80:
+                clut8.push({ r: 127 + Math.round(r * 42.5), g: 127 + Math.round(g * 42.5), b: 127 + Math.round(b * 42.5), a: 255 });
+                break;
+            case 0x88:
+                clut8.push({ r: Math.round(r * 42.5), g: Math.round(g * 42.5), b: Math.round(b * 42.5), a: 255 });
+                break;
+        }
+    }
+    
+    return { 2: clut2, 4: clut4, 8: clut8 };
+}
+
+/**
+ * FNV-1a hash of a bitmap's pixels, with its size
+ */
+function hashCanvas(canvas) {
+    const data = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < data.length; i++) {
+        hash = Math.imul(hash ^ data[i], 0x01000193);
+    }
+    return `${(hash >>> 0).toString(16)}:${canvas.width}x${canvas.height}`;
+}
+
+/**
+ * MSB-first bit reader over pixel data. Reads past the end return 0,
+ * which every code string grammar treats as its end code.
+ */
+class BitReader {
+    constructor(data, offset) {
+        this.data = data;
+        this.bit = offset * 8;
+    }
+    
+    read(count) {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            const byte = this.data[this.bit >> 3] || 0;
+            value = (value << 1) | ((byte >> (7 - (this.bit & 7))) & 1);
+            this.bit++;
+        }
+        return value;
+    }
+    
+    /**
+     * Byte offset after the current position, rounded up
+     */
+    align() {
+        return (this.bit + 7) >> 3;
+    }
+}
+
+/**
+ * 2-bit/pixel code string (EN 300 743 7.2.5.2)
+ * @param {function(number, number)} emit - Called with (pixel code, run length)
+ */
+function decode2BitString(reader, emit) {
+    for (;;) {
+        const code = reader.read(2);
+        if (code !== 0) {
+            emit(code, 1);
+        } else if (reader.read(1)) { // switch_1
+            const run = reader.read(3) + 3;
+            emit(reader.read(2), run);
+        } else if (reader.read(1)) { // switch_2
+            emit(0, 1);
+        } else {
+            switch (reader.read(2)) { // switch_3
+                case 0: // end_of_string_signal
+                    return;
+                case 1:
+                    emit(0, 2);
+                    break;
+                case 2: {
+                    const run = reader.read(4) + 12;
+                    emit(reader.read(2), run);
+                    break;
+                }
+                case 3: {
+                    const run = reader.read(8) + 29;
+                    emit(reader.read(2), run);
+                    break;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * 4-bit/pixel code string (EN 300 743 7.2.5.2)
+ */
+function decode4BitString(reader, emit) {
+    for (;;) {
+        const code = reader.read(4);
+        if (code !== 0) {
+            emit(code, 1);
+        } else if (!reader.read(1)) { // switch_1
+            const run = reader.read(3);
+            if (run === 0) return; // end_of_string_signal
+            emit(0, run + 2);
+        } else if (!reader.read(1)) { // switch_2
+            const run = reader.read(2) + 4;
+            emit(reader.read(4), run);
+        } else {
+            switch (reader.read(2)) { // switch_3
+                case 0:
+                    emit(0, 1);
+                    break;
+                case 1:
+                    emit(0, 2);
+                    break;
+                case 2: {
+                    const run = reader.read(4) + 9;
+                    emit(reader.read(4), run);
+                    break;
+                }
+                case 3: {
+                    const run = reader.read(8) + 25;
+                    emit(reader.read(4), run);
+                    break;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * 8-bit/pixel code string (EN 300 743 7.2.5.2)
+ */
+function decode8BitString(reader, emit) {
+    for (;;) {
+        const code = reader.read(8);
+        if (code !== 0) {
+            emit(code, 1);
+        } else if (!reader.read(1)) { // switch_1
+            const run = reader.read(7);
+            if (run === 0) return; // end_of_string_signal
+            emit(0, run);
+        } else {
+            const run = reader.read(7);
+            emit(reader.read(8), run);
+        }
+    }
+}
+
+/**
+ * OCR workers for this device: a recognition keeps one core busy, so
+ * about half the cores, leaving the rest to playback and the UI
  */
+function defaultOCRWorkers() {
+    const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2;
+    return Math.min(MAX_OCR_WORKERS, Math.max(1, Math.floor(cores / 2)));
+}
+
+/**
+ * Canvas to render into: an OffscreenCanvas inside a worker, a DOM canvas
+ * on the main thread (the bitmap preview and OCR use toDataURL)
+ */
+function createCanvas(width, height) {
+    if (typeof document === 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
 
 export class DVBSubDecoder {
     constructor(options = {}) {
         this.onSubtitle = options.onSubtitle || (() => {});
         this.onBitmap = options.onBitmap || (() => {});
         this.onOCRResult = options.onOCRResult || (() => {});
+        // OCR text of the page on screen ('' when cleared)
+        this.onDisplay = options.onDisplay || (() => {});
+        // Page cleared: empty display set or page_time_out
+        this.onClear = options.onClear || (() => {});
+        // Bitmap taken off screen, with its display time, for image subtitle export
+        this.onBitmapCue = options.onBitmapCue || (() => {});
         this.onError = options.onError || console.error;
         this.onLog = options.onLog || console.log;
         
         // OCR settings
         this.ocrLanguage = options.language || 'eng';
         this.ocrEnabled = options.ocrEnabled !== false;
+        // Hash bitmaps to drop repeated pages and reuse their OCR text
+        this.dedupe = options.dedupe !== false;
+        // Page to decode and the ancillary page it shares CLUTs and objects
+        // from (null = every page on the PID)
+        this.compositionPageId = options.compositionPageId ?? null;
+        this.ancillaryPageId = options.ancillaryPageId ?? null;
+        // bitmap hash -> { text, confidence, lines }, least recently used first
+        this.ocrCache = new Map();
         this.displayMode = options.displayMode || 'ocr'; // 'bitmap', 'ocr', 'both'
+        // Size of the Tesseract worker pool
+        this.ocrWorkers = options.ocrWorkers || defaultOCRWorkers();
+        // Bitmaps tagged with their stream's language are read in it, by workers of their own
+        this.languageWorkers = options.languageWorkers !== false;
+        // Whether the player is past a stream time (s); queued pages it has played are not read
+        this.hasPlayed = options.hasPlayed || (() => true);
         
         // State
-        this.tesseractWorker = null;
         this.tesseractReady = false;
         this.tesseractLoading = false;
+        // Pool: { worker, language, busy }
+        this.workers = [];
+        // Languages no worker could be started or switched to
+        this.failedLanguages = new Set();
         this.ocrQueue = [];
-        this.processing = false;
+        // Items being read
+        this.ocrActive = [];
         
         // DVB-SUB state
         this.pages = new Map();
         this.regions = new Map();
         this.cluts = new Map();
         this.objects = new Map();
+        // Set by the first acquisition point or mode change
+        this.acquired = false;
+        // Display size and subtitle window from the display definition segment
+        this.display = DEFAULT_DISPLAY;
+        // Page on screen: { pts, timeout, text, confidence, lines, end }
+        this.shown = null;
+        this.timeoutTimer = null;
         
         // Statistics
         this.stats = {
             bitmapsDecoded: 0,
+            duplicates: 0,
             ocrProcessed: 0,
+            ocrCacheHits: 0,
+            ocrDropped: 0,
             errors: 0
         };
         
-        // Default CLUT (2-bit)
-        this.defaultClut = [
-            { r: 0, g: 0, b: 0, a: 0 },      // Transparent
-            { r: 255, g: 255, b: 255, a: 255 }, // White
-            { r: 0, g: 0, b: 0, a: 255 },       // Black
-            { r: 128, g: 128, b: 128, a: 255 }  // Gray
-        ];
+        // Default CLUTs, by bits per pixel
+        this.defaultCluts = createDefaultCLUTs();
     }
     
     /**
-     * Initialize Tesseract.js worker
+     * Initialize Tesseract.js with the first worker of the pool; the rest
+     * start as the queue needs them
      */
     async initTesseract() {
         if (this.tesseractReady || this.tesseractLoading) return;
         
         this.tesseractLoading = true;
-        this.onLog('Initializing Tesseract.js...');
+        this.onLog(`Initializing Tesseract.js (up to ${this.ocrWorkers} workers)...`);
         
         try {
             if (typeof Tesseract === 'undefined') {
                 throw new Error('Tesseract.js not loaded');
             }
             
-            this.tesseractWorker = await Tesseract.createWorker(this.ocrLanguage, 1, {
-                logger: m => {
-                    if (m.status === 'recognizing text') {
-                        // Progress update - don't spam logs
-                    }
-                }
-            });
+            await this.addWorker(this.ocrLanguage);
             
             this.tesseractReady = true;
             this.tesseractLoading = false;
@@ -88,20 +353,104 @@ export class DVBSubDecoder {
         }
     }
     
+    /**
+     * Start a Tesseract worker for a language and add it to the pool
+     */
+    async addWorker(language) {
+        // Busy until loaded, so nothing is handed to it before
+        const entry = { worker: null, language, busy: true };
+        this.workers.push(entry);
+        
+        try {
+            entry.worker = await Tesseract.createWorker(language, 1, {
+                logger: m => {
+                    if (m.status === 'recognizing text') {
+                        // Progress update - don't spam logs
+                    }
+                }
+            });
+        } catch (err) {
+            this.workers.splice(this.workers.indexOf(entry), 1);
+            throw err;
+        }
+        
+        entry.busy = false;
+        return entry;
+    }
+    
     /**
      * Change OCR language
      */
     async setLanguage(lang) {
+        const previous = this.ocrLanguage;
         this.ocrLanguage = lang;
-        
-        if (this.tesseractWorker) {
-            try {
-                await this.tesseractWorker.reinitialize(lang);
-                this.onLog(`OCR language changed to: ${lang}`);
-            } catch (err) {
-                this.onError('Language change failed: ' + err.message);
+        this.ocrCache.clear();
+        this.failedLanguages.delete(lang);
+        
+        // Waiting bitmaps follow the new language, unless their stream has one of its own
+        this.ocrQueue.forEach(item => {
+            if (!item.streamLanguage || item.language === lang) {
+                item.language = lang;
+                item.streamLanguage = false;
             }
+        });
+        
+        // Idle workers move over; busy ones switch when the queue needs them
+        const idle = this.workers.filter(entry => !entry.busy && entry.language === previous);
+        await Promise.all(idle.map(entry => this.switchLanguage(entry, lang)));
+        this.onLog(`OCR language changed to: ${lang}`);
+    }
+    
+    /**
+     * Load another language into an idle worker
+     */
+    async switchLanguage(entry, language) {
+        entry.busy = true;
+        
+        try {
+            await entry.worker.reinitialize(language);
+            entry.language = language;
+        } catch (err) {
+            this.onError('Language change failed: ' + err.message);
+            this.languageFailed(language);
         }
+        
+        entry.busy = false;
+        this.processOCRQueue();
+    }
+    
+    /**
+     * Bitmaps waiting for a language Tesseract can't load are read in the OCR language instead
+     */
+    languageFailed(language) {
+        if (language === this.ocrLanguage) return;
+        
+        this.failedLanguages.add(language);
+        this.ocrQueue.forEach(item => {
+            if (item.language === language) {
+                item.language = this.ocrLanguage;
+                item.streamLanguage = false;
+            }
+        });
+    }
+    
+    /**
+     * Tesseract language to read a bitmap in: its stream's ISO 639-2 code
+     * when given, otherwise the OCR language
+     */
+    languageFor(code) {
+        if (!this.languageWorkers || !code || !/^[a-z]{3}$/i.test(code)) return this.ocrLanguage;
+        
+        const language = TESSERACT_LANGUAGES[code.toLowerCase()] || code.toLowerCase();
+        return this.failedLanguages.has(language) ? this.ocrLanguage : language;
+    }
+    
+    /**
+     * Forget the OCR text read so far, e.g. once the bitmaps are preprocessed
+     * differently
+     */
+    clearOCRCache() {
+        this.ocrCache.clear();
     }
     
     /**
@@ -138,6 +487,12 @@ export class DVBSubDecoder {
                 
                 if (offset + segmentLength > data.length) break;
                 
+                // Segments of the other subtitle services on the PID
+                if (this.compositionPageId !== null && pageId !== this.compositionPageId && pageId !== this.ancillaryPageId) {
+                    offset += segmentLength;
+                    continue;
+                }
+                
                 const segmentData = data.slice(offset, offset + segmentLength);
                 
                 switch (segmentType) {
@@ -177,6 +532,20 @@ export class DVBSubDecoder {
         const pageVersionFlags = data[1];
         const pageState = (pageVersionFlags >> 2) & 0x03;
         
+        if (pageState === PAGE_STATE_ACQUISITION || pageState === PAGE_STATE_MODE_CHANGE) {
+            // Start of an epoch: everything the page needs follows in this display set
+            if (!this.acquired || pageState === PAGE_STATE_MODE_CHANGE) {
+                this.regions.clear();
+                this.cluts.clear();
+                this.objects.clear();
+            }
+            this.acquired = true;
+        } else if (!this.acquired) {
+            // A normal case update only makes sense on top of an acquired page
+            this.pages.delete(pageId);
+            return;
+        }
+        
         const page = {
             id: pageId,
             timeout: pageTimeout,
@@ -208,9 +577,19 @@ export class DVBSubDecoder {
         const width = (data[2] << 8) | data[3];
         const height = (data[4] << 8) | data[5];
         const levelOfCompatibility = (data[6] >> 5) & 0x07;
-        const depth = (data[6] >> 2) & 0x07;
+        // region_depth 1-3 -> bits per pixel
+        const depth = [0, 2, 4, 8][(data[6] >> 2) & 0x07] || 8;
         const clutId = data[7];
-        const bgPixelCode = data[9];
+        
+        // Background code for the region's depth
+        let bgPixelCode;
+        if (depth === 8) {
+            bgPixelCode = data[8];
+        } else if (depth === 4) {
+            bgPixelCode = data[9] >> 4;
+        } else {
+            bgPixelCode = (data[9] >> 2) & 0x03;
+        }
         
         const region = {
             id: regionId,
@@ -252,15 +631,16 @@ export class DVBSubDecoder {
         const clutId = data[0];
         const versionFlag = data[1];
         
-        const clut = new Array(256).fill(null).map(() => ({ r: 0, g: 0, b: 0, a: 0 }));
-        
-        // Copy default CLUT
-        for (let i = 0; i < this.defaultClut.length; i++) {
-            clut[i] = { ...this.defaultClut[i] };
-        }
+        // Entries not redefined keep their previous (or default) values
+        const previous = this.cluts.get(clutId) || this.defaultCluts;
+        const clut = {
+            2: previous[2].slice(),
+            4: previous[4].slice(),
+            8: previous[8].slice()
+        };
         
         let offset = 2;
-        while (offset < data.length) {
+        while (offset + 2 <= data.length) {
             const clutEntryId = data[offset];
             const flags = data[offset + 1];
             
@@ -279,11 +659,12 @@ export class DVBSubDecoder {
                 cb = data[offset++];
                 t = data[offset++];
             } else {
+                // Reduced range: 6-bit Y, 4-bit Cr/Cb, 2-bit T scaled to 8 bits
                 const ycrCb = (data[offset] << 8) | data[offset + 1];
-                y = (ycrCb >> 10) & 0x3F;
-                cr = (ycrCb >> 6) & 0x0F;
-                cb = (ycrCb >> 2) & 0x0F;
-                t = ycrCb & 0x03;
+                y = ((ycrCb >> 10) & 0x3F) << 2;
+                cr = ((ycrCb >> 6) & 0x0F) << 4;
+                cb = ((ycrCb >> 2) & 0x0F) << 4;
+                t = (ycrCb & 0x03) << 6;
                 offset += 2;
             }
             
@@ -291,9 +672,13 @@ export class DVBSubDecoder {
             const r = Math.max(0, Math.min(255, y + 1.402 * (cr - 128)));
             const g = Math.max(0, Math.min(255, y - 0.344136 * (cb - 128) - 0.714136 * (cr - 128)));
             const b = Math.max(0, Math.min(255, y + 1.772 * (cb - 128)));
-            const a = 255 - t;
+            // Y = 0 signals full transparency
+            const a = y === 0 ? 0 : 255 - t;
             
-            clut[clutEntryId] = { r: Math.round(r), g: Math.round(g), b: Math.round(b), a };
+            const entry = { r: Math.round(r), g: Math.round(g), b: Math.round(b), a };
+            if (is2bit && clutEntryId < 4) clut[2][clutEntryId] = entry;
+            if (is4bit && clutEntryId < 16) clut[4][clutEntryId] = entry;
+            if (is8bit) clut[8][clutEntryId] = entry;
         }
         
         this.cluts.set(clutId, clut);
@@ -310,6 +695,7 @@ export class DVBSubDecoder {
         const object = {
             id: objectId,
             codingMethod: codingMethod,
+            nonModifying: nonModifyingColourFlag === 1,
             topFieldData: null,
             bottomFieldData: null
         };
@@ -326,9 +712,30 @@ export class DVBSubDecoder {
         this.objects.set(objectId, object);
     }
     
+    /**
+     * Display definition (EN 300 743 7.2.1): the video size subtitles are
+     * authored for, e.g. 1920x1080 for HD, and an optional window within it
+     */
     parseDisplayDefinition(data) {
-        // Display definition - defines the display resolution
-        // Not strictly required for basic rendering
+        if (data.length < 5) return;
+        
+        const windowFlag = (data[0] >> 3) & 0x01;
+        const width = ((data[1] << 8) | data[2]) + 1;
+        const height = ((data[3] << 8) | data[4]) + 1;
+        
+        let window = { x: 0, y: 0, width, height };
+        if (windowFlag && data.length >= 13) {
+            const hMin = (data[5] << 8) | data[6];
+            const hMax = (data[7] << 8) | data[8];
+            const vMin = (data[9] << 8) | data[10];
+            const vMax = (data[11] << 8) | data[12];
+            window = { x: hMin, y: vMin, width: hMax - hMin + 1, height: vMax - vMin + 1 };
+        }
+        
+        if (width !== this.display.width || height !== this.display.height) {
+            this.onLog(`DVB-SUB display ${width}x${height}`);
+        }
+        this.display = { width, height, window };
     }
     
     /**
@@ -336,133 +743,330 @@ export class DVBSubDecoder {
      */
     renderPage(pageId, pts) {
         const page = this.pages.get(pageId);
-        if (!page || page.regions.length === 0) return;
+        if (!page) return;
         
-        // Calculate overall dimensions
-        let maxWidth = 720;
-        let maxHeight = 576;
+        if (page.regions.length === 0) {
+            this.clear(pts);
+            return;
+        }
         
-        // Create canvas for rendering
-        const canvas = document.createElement('canvas');
-        canvas.width = maxWidth;
-        canvas.height = maxHeight;
+        // The whole display, so positions survive trimming
+        const display = this.display;
+        const canvas = createCanvas(display.width, display.height);
         const ctx = canvas.getContext('2d');
         
         // Clear with transparency
-        ctx.clearRect(0, 0, maxWidth, maxHeight);
+        ctx.clearRect(0, 0, display.width, display.height);
         
         let hasContent = false;
         
         for (const pageRegion of page.regions) {
             const region = this.regions.get(pageRegion.id);
-            if (!region) continue;
+            if (!region || region.width === 0 || region.height === 0) continue;
             
-            const clut = this.cluts.get(region.clutId) || this.defaultClut;
+            const clut = (this.cluts.get(region.clutId) || this.defaultCluts)[region.depth];
+            const pixels = new Array(region.width * region.height).fill(clut[region.bgPixel] || clut[0]);
+            let drawn = false;
             
+            // Objects are decoded into the region at their position in it
             for (const regObject of region.objects) {
                 const object = this.objects.get(regObject.id);
                 if (!object || !object.topFieldData) continue;
                 
-                // Decode RLE pixel data
-                const pixels = this.decodePixelData(object, region, clut);
-                if (pixels) {
-                    hasContent = true;
-                    
-                    // Create ImageData
-                    const imageData = ctx.createImageData(region.width, region.height);
-                    
-                    for (let i = 0; i < pixels.length; i++) {
-                        const color = pixels[i];
-                        imageData.data[i * 4] = color.r;
-                        imageData.data[i * 4 + 1] = color.g;
-                        imageData.data[i * 4 + 2] = color.b;
-                        imageData.data[i * 4 + 3] = color.a;
-                    }
-                    
-                    // Draw to canvas
-                    const x = pageRegion.x + regObject.x;
-                    const y = pageRegion.y + regObject.y;
-                    
-                    const tempCanvas = document.createElement('canvas');
-                    tempCanvas.width = region.width;
-                    tempCanvas.height = region.height;
-                    tempCanvas.getContext('2d').putImageData(imageData, 0, 0);
-                    
-                    ctx.drawImage(tempCanvas, x, y);
-                }
+                this.decodePixelData(object, region, clut, pixels, regObject.x, regObject.y);
+                drawn = true;
+            }
+            
+            if (!drawn) continue;
+            hasContent = true;
+            
+            const imageData = ctx.createImageData(region.width, region.height);
+            
+            for (let i = 0; i < pixels.length; i++) {
+                const color = pixels[i];
+                imageData.data[i * 4] = color.r;
+                imageData.data[i * 4 + 1] = color.g;
+                imageData.data[i * 4 + 2] = color.b;
+                imageData.data[i * 4 + 3] = color.a;
             }
+            
+            // Region positions are relative to the display window
+            const x = display.window.x + pageRegion.x;
+            const y = display.window.y + pageRegion.y;
+            
+            const tempCanvas = createCanvas(region.width, region.height);
+            tempCanvas.getContext('2d').putImageData(imageData, 0, 0);
+            
+            ctx.drawImage(tempCanvas, x, y);
         }
         
-        if (!hasContent) return;
-        
-        this.stats.bitmapsDecoded++;
-        
         // Trim canvas to content
-        const trimmed = this.trimCanvas(canvas);
+        const trimmed = hasContent ? this.trimCanvas(canvas) : null;
         
-        // Emit bitmap event
-        this.onBitmap({
+        if (!trimmed || trimmed.empty) {
+            this.clear(pts);
+            return;
+        }
+        
+        this.addBitmap({
             canvas: trimmed.canvas,
             pts: pts,
-            time: pts / 90000,
-            width: trimmed.canvas.width,
-            height: trimmed.canvas.height
+            timeout: page.timeout,
+            x: trimmed.x,
+            y: trimmed.y,
+            displayWidth: display.width,
+            displayHeight: display.height
         });
+    }
+    
+    /**
+     * Emit a rendered bitmap and queue it for OCR. Also the entry point for
+     * bitmaps rendered elsewhere (the subtitle worker).
+     * @param {Object} bitmap - { canvas, ocrCanvas (preprocessed copy, optional), pts, timeout (page_time_out, s), x, y, displayWidth, displayHeight }
+     */
+    addBitmap(bitmap) {
+        const { canvas, pts, timeout = 0 } = bitmap;
+        const x = bitmap.x || 0;
+        const y = bitmap.y || 0;
+        const hash = this.dedupe ? hashCanvas(canvas) : null;
+        
+        // The same page again, e.g. at an acquisition point: it stays on screen and its time-out restarts
+        const shownBitmap = this.shown && this.shown.bitmap;
+        if (hash !== null && this.shown && this.shown.hash === hash && shownBitmap.x === x && shownBitmap.y === y) {
+            this.stats.duplicates++;
+            this.shown.refreshed = pts;
+            this.shown.timeout = timeout;
+            this.armTimeout(this.shown);
+            return;
+        }
+        
+        this.endShown(pts);
+        this.stats.bitmapsDecoded++;
+        
+        const emitted = {
+            canvas: canvas,
+            // Copy cleaned up for OCR by whoever rendered the bitmap (see ocr-preprocess.js)
+            ocrCanvas: bitmap.ocrCanvas || null,
+            pts: pts,
+            time: pts / 90000,
+            timeout: timeout,
+            width: canvas.width,
+            height: canvas.height,
+            // Position on a displayWidth x displayHeight display
+            x: x,
+            y: y,
+            displayWidth: bitmap.displayWidth || DEFAULT_DISPLAY.width,
+            displayHeight: bitmap.displayHeight || DEFAULT_DISPLAY.height,
+            // Subtitle PID, composition page and ISO 639-2 language, when decoded per service
+            pid: bitmap.pid ?? null,
+            page: bitmap.page ?? null,
+            language: bitmap.language || null
+        };
+        
+        // refreshed: PTS of the latest repeat, which the time-out runs from
+        const shown = { pts, refreshed: pts, timeout, hash, text: null, confidence: 0, lines: [], end: null, bitmap: emitted };
+        this.shown = shown;
+        this.armTimeout(shown);
+        
+        // Emit bitmap event
+        this.onBitmap(emitted);
         
-        // Queue for OCR if enabled
+        // Queue for OCR if enabled, unless this bitmap was read before
         if (this.ocrEnabled && (this.displayMode === 'ocr' || this.displayMode === 'both')) {
-            this.queueOCR(trimmed.canvas, pts);
+            const cached = hash !== null ? this.ocrCache.get(hash) : undefined;
+            if (cached) {
+                this.stats.ocrCacheHits++;
+                this.ocrCache.delete(hash);
+                this.ocrCache.set(hash, cached);
+                this.setOCRText(shown, cached);
+            } else {
+                this.queueOCR(emitted, shown);
+            }
         }
     }
     
     /**
-     * Decode RLE pixel data
+     * A page left to time out gets no display set to end it
      */
-    decodePixelData(object, region, clut) {
-        const width = region.width;
-        const height = region.height;
-        const depth = region.depth;
+    armTimeout(shown) {
+        clearTimeout(this.timeoutTimer);
+        if (shown.timeout > 0) {
+            this.timeoutTimer = setTimeout(() => {
+                if (this.shown === shown) this.clear((shown.refreshed + shown.timeout * 90000) % PTS_WRAP);
+            }, shown.timeout * 1000);
+        }
+    }
+    
+    /**
+     * Take the page off screen. Also the entry point for clears decoded
+     * elsewhere (the subtitle worker).
+     * @param {number} [pid] - Subtitle PID cleared: a page of another stays on screen
+     */
+    clear(pts, pid) {
+        if (pid !== undefined && this.shown && this.shown.bitmap.pid !== null && this.shown.bitmap.pid !== pid) return;
         
-        const pixels = new Array(width * height).fill(clut[region.bgPixel] || { r: 0, g: 0, b: 0, a: 0 });
+        const wasShown = this.shown !== null;
+        this.endShown(pts);
         
+        if (wasShown) {
+            this.onClear({ pts, time: pts / 90000 });
+            this.onDisplay('');
+        }
+    }
+    
+    /**
+     * End the page on screen at pts, or earlier if its page_time_out ran out
+     */
+    endShown(pts) {
+        const shown = this.shown;
+        if (!shown) return;
+        this.shown = null;
+        
+        let duration = (pts - shown.pts + PTS_WRAP) % PTS_WRAP;
+        if (shown.timeout > 0) {
+            const refreshed = (shown.refreshed - shown.pts + PTS_WRAP) % PTS_WRAP;
+            duration = Math.min(duration, refreshed + shown.timeout * 90000);
+        }
+        shown.end = shown.pts + duration;
+        
+        this.onBitmapCue({
+            ...shown.bitmap,
+            endPts: shown.end,
+            startTime: shown.pts / 90000,
+            endTime: shown.end / 90000
+        });
+        
+        // Still waiting for OCR: the cue goes out when the text arrives
+        if (shown.text !== null) {
+            this.emitCue(shown);
+        }
+    }
+    
+    /**
+     * Emit a finished OCR cue once both its text and end are known
+     */
+    emitCue(shown) {
+        if (!shown.text) return;
+        
+        this.onSubtitle({
+            text: shown.text,
+            startTime: shown.pts / 90000,
+            endTime: shown.end / 90000,
+            pts: shown.pts,
+            endPts: shown.end,
+            confidence: shown.confidence,
+            // Per line text with its colour and italics
+            lines: shown.lines,
+            // Where the text was drawn on the display
+            bounds: {
+                x: shown.bitmap.x,
+                y: shown.bitmap.y,
+                width: shown.bitmap.width,
+                height: shown.bitmap.height,
+                displayWidth: shown.bitmap.displayWidth,
+                displayHeight: shown.bitmap.displayHeight
+            },
+            source: 'dvb-ocr'
+        });
+    }
+    
+    /**
+     * Decode RLE pixel data of an object into its region's pixels
+     * @param {number} objectX - Object position in the region
+     * @param {number} objectY
+     */
+    decodePixelData(object, region, clut, pixels, objectX, objectY) {
         // Decode top field (even lines)
         if (object.topFieldData) {
-            this.decodeField(object.topFieldData, pixels, width, height, 0, depth, clut);
+            this.decodeField(object.topFieldData, pixels, region, objectX, objectY, clut, object.nonModifying);
         }
         
         // Decode bottom field (odd lines)
         if (object.bottomFieldData && object.bottomFieldData.length > 0) {
-            this.decodeField(object.bottomFieldData, pixels, width, height, 1, depth, clut);
+            this.decodeField(object.bottomFieldData, pixels, region, objectX, objectY + 1, clut, object.nonModifying);
         } else if (object.topFieldData) {
             // Copy top field to bottom
-            this.decodeField(object.topFieldData, pixels, width, height, 1, depth, clut);
+            this.decodeField(object.topFieldData, pixels, region, objectX, objectY + 1, clut, object.nonModifying);
         }
-        
-        return pixels;
     }
     
-    decodeField(data, pixels, width, height, fieldOffset, depth, clut) {
+    /**
+     * Decode the pixel-data sub-blocks of one field (EN 300 743 7.2.5.1)
+     * @param {boolean} nonModifying - Pixel code 1 leaves the pixel underneath unchanged
+     */
+    decodeField(data, pixels, region, startX, startY, clut, nonModifying) {
+        const width = region.width;
+        const height = region.height;
+        
+        // Map tables are reset at the start of each field
+        let map2to4 = DEFAULT_MAP_2_TO_4;
+        let map2to8 = DEFAULT_MAP_2_TO_8;
+        let map4to8 = DEFAULT_MAP_4_TO_8;
+        
         let offset = 0;
-        let x = 0;
-        let y = fieldOffset;
+        let x = startX;
+        let y = startY;
+        
+        // Writes a run of one pixel code, mapped up to the region depth
+        const draw = (map) => (code, run) => {
+            if (!(nonModifying && code === 1)) {
+                const color = clut[map ? map[code] : code] || clut[0];
+                const end = Math.min(x + run, width);
+                for (let i = x; i < end; i++) {
+                    pixels[y * width + i] = color;
+                }
+            }
+            x += run;
+        };
         
         while (offset < data.length && y < height) {
-            const byte = data[offset++];
-            
-            if (byte === 0x00) {
-                // Next line
-                x = 0;
-                y += 2;
-                continue;
-            }
-            
-            // 2-bit pixel decoding (simplified)
-            let color = clut[byte] || clut[0];
+            const dataType = data[offset++];
             
-            if (x < width && y < height) {
-                pixels[y * width + x] = color;
+            switch (dataType) {
+                case 0x10: { // 2-bit/pixel code string
+                    const reader = new BitReader(data, offset);
+                    const map = region.depth === 8 ? map2to8 : region.depth === 4 ? map2to4 : null;
+                    decode2BitString(reader, draw(map));
+                    offset = reader.align();
+                    break;
+                }
+                case 0x11: { // 4-bit/pixel code string
+                    const reader = new BitReader(data, offset);
+                    decode4BitString(reader, draw(region.depth === 8 ? map4to8 : null));
+                    offset = reader.align();
+                    break;
+                }
+                case 0x12: { // 8-bit/pixel code string
+                    const reader = new BitReader(data, offset);
+                    decode8BitString(reader, draw(null));
+                    offset = reader.align();
+                    break;
+                }
+                case 0x20: // 2_to_4-bit_map-table
+                    map2to4 = [
+                        data[offset] >> 4, data[offset] & 0x0F,
+                        data[offset + 1] >> 4, data[offset + 1] & 0x0F
+                    ];
+                    offset += 2;
+                    break;
+                case 0x21: // 2_to_8-bit_map-table
+                    map2to8 = Array.from(data.subarray(offset, offset + 4));
+                    offset += 4;
+                    break;
+                case 0x22: // 4_to_8-bit_map-table
+                    map4to8 = Array.from(data.subarray(offset, offset + 16));
+                    offset += 16;
+                    break;
+                case 0xF0: // end_of_object_line_code
+                    x = startX;
+                    y += 2;
+                    break;
+                default:
+                    // Unknown data type: the rest of the field can't be located
+                    this.stats.errors++;
+                    this.onError(`DVB-SUB unknown pixel data type 0x${dataType.toString(16)}`);
+                    return;
             }
-            x++;
         }
     }
     
@@ -488,6 +1092,10 @@ export class DVBSubDecoder {
             }
         }
         
+        if (maxX < minX) {
+            return { canvas, x: 0, y: 0, empty: true };
+        }
+        
         if (maxX <= minX || maxY <= minY) {
             return { canvas, x: 0, y: 0 };
         }
@@ -495,9 +1103,7 @@ export class DVBSubDecoder {
         const trimmedWidth = maxX - minX + 1;
         const trimmedHeight = maxY - minY + 1;
         
-        const trimmedCanvas = document.createElement('canvas');
-        trimmedCanvas.width = trimmedWidth;
-        trimmedCanvas.height = trimmedHeight;
+        const trimmedCanvas = createCanvas(trimmedWidth, trimmedHeight);
         
         const trimmedCtx = trimmedCanvas.getContext('2d');
         trimmedCtx.drawImage(canvas, minX, minY, trimmedWidth, trimmedHeight, 0, 0, trimmedWidth, trimmedHeight);
@@ -507,59 +1113,172 @@ export class DVBSubDecoder {
     
     /**
      * Queue bitmap for OCR processing
+     * @param {Object} bitmap - As emitted: canvas, ocrCanvas, pts and the stream's ISO 639-2 language
      */
-    queueOCR(canvas, pts) {
-        this.ocrQueue.push({ canvas, pts, time: pts / 90000 });
+    queueOCR(bitmap, shown) {
+        // A bitmap already waiting or being read is read once for every display of it
+        const pending = shown.hash !== null &&
+            [...this.ocrActive, ...this.ocrQueue].find(item => item.hash === shown.hash);
+        if (pending) {
+            this.stats.ocrCacheHits++;
+            pending.displays.push(shown);
+            return;
+        }
+        
+        const language = this.languageFor(bitmap.language);
+        this.ocrQueue.push({
+            canvas: bitmap.canvas,
+            ocrCanvas: bitmap.ocrCanvas,
+            pts: bitmap.pts,
+            time: bitmap.pts / 90000,
+            hash: shown.hash,
+            language,
+            // Read in its stream's language rather than the OCR language
+            streamLanguage: language !== this.ocrLanguage,
+            displays: [shown]
+        });
         this.processOCRQueue();
     }
     
     /**
-     * Process OCR queue
+     * OCR text for a display: shown live while it is on screen, emitted as
+     * a cue once it has ended
+     * @param {Object} ocr - { text, confidence, lines }
+     */
+    setOCRText(shown, ocr) {
+        shown.text = ocr.text;
+        shown.confidence = ocr.confidence;
+        shown.lines = ocr.lines;
+        
+        if (ocr.text && shown === this.shown) {
+            this.onDisplay(ocr.text);
+        }
+        
+        // Page already gone from screen
+        if (shown.end !== null) {
+            this.emitCue(shown);
+        }
+    }
+    
+    /**
+     * Hand queued bitmaps to idle workers of their language. Without one,
+     * the pool grows up to its size, then an idle worker whose language has
+     * nothing waiting is switched over.
+     */
+    processOCRQueue() {
+        if (!this.tesseractReady) return;
+        
+        this.dropStaleOCR();
+        
+        for (const item of this.ocrQueue.slice()) {
+            const entry = this.workers.find(w => !w.busy && w.language === item.language);
+            if (entry) {
+                this.ocrQueue.splice(this.ocrQueue.indexOf(item), 1);
+                this.runOCR(entry, item);
+                continue;
+            }
+            
+            if (this.workers.length < this.ocrWorkers) {
+                this.startWorker(item.language);
+                continue;
+            }
+            
+            const spare = this.workers.find(w => !w.busy && !this.ocrQueue.some(queued => queued.language === w.language));
+            if (spare) {
+                this.switchLanguage(spare, item.language);
+            }
+        }
+    }
+    
+    /**
+     * Grow the pool by a worker for a language
+     */
+    startWorker(language) {
+        this.addWorker(language).then((entry) => {
+            this.onLog(`Tesseract worker ${this.workers.indexOf(entry) + 1}/${this.ocrWorkers} ready (${language})`);
+            this.processOCRQueue();
+        }).catch(err => {
+            this.onError(`Tesseract worker for ${language} failed: ${err.message}`);
+            this.languageFailed(language);
+            this.processOCRQueue();
+        });
+    }
+    
+    /**
+     * Drop waiting bitmaps whose every display has ended and been played:
+     * their text would only arrive after the fact. The cues they would
+     * have made are lost.
      */
-    async processOCRQueue() {
-        if (this.processing || !this.tesseractReady || this.ocrQueue.length === 0) return;
+    dropStaleOCR() {
+        const stale = this.ocrQueue.filter(item =>
+            item.displays.every(shown => shown.end !== null && this.hasPlayed(shown.end / 90000)));
+        if (stale.length === 0) return;
         
-        this.processing = true;
+        this.ocrQueue = this.ocrQueue.filter(item => !stale.includes(item));
+        this.stats.ocrDropped += stale.length;
+    }
+    
+    /**
+     * Read one bitmap on a worker
+     */
+    async runOCR(entry, item) {
+        entry.busy = true;
+        this.ocrActive.push(item);
         
-        while (this.ocrQueue.length > 0) {
-            const item = this.ocrQueue.shift();
+        try {
+            // Convert canvas to image data URL, the copy cleaned up for Tesseract when there is one
+            const imageData = (item.ocrCanvas || item.canvas).toDataURL('image/png');
             
-            try {
-                // Convert canvas to image data URL
-                const imageData = item.canvas.toDataURL('image/png');
-                
-                const result = await this.tesseractWorker.recognize(imageData);
-                
-                const text = result.data.text.trim();
-                const confidence = result.data.confidence;
-                
-                if (text) {
-                    this.stats.ocrProcessed++;
-                    
-                    this.onOCRResult({
-                        text: text,
-                        confidence: confidence,
-                        pts: item.pts,
-                        time: item.time,
-                        canvas: item.canvas
-                    });
-                    
-                    this.onSubtitle({
-                        text: text,
-                        startTime: item.time,
-                        endTime: item.time + 5, // Default 5 second duration
-                        confidence: confidence,
-                        source: 'dvb-ocr'
-                    });
+            const result = await entry.worker.recognize(imageData);
+            
+            const text = result.data.text.trim();
+            const confidence = result.data.confidence;
+            // Colour and italics come from the bitmap as drawn, not the cleaned up copy
+            const ocr = { text, confidence, lines: text ? styleTextLines(text, detectLineStyles(item.canvas)) : [] };
+            
+            if (item.hash !== null) {
+                this.ocrCache.set(item.hash, ocr);
+                if (this.ocrCache.size > OCR_CACHE_SIZE) {
+                    this.ocrCache.delete(this.ocrCache.keys().next().value);
                 }
+            }
+            
+            if (text) {
+                this.stats.ocrProcessed++;
                 
-            } catch (err) {
-                this.stats.errors++;
-                this.onError('OCR error: ' + err.message);
+                this.onOCRResult({
+                    text: text,
+                    confidence: confidence,
+                    lines: ocr.lines,
+                    language: item.language,
+                    pts: item.pts,
+                    time: item.time,
+                    canvas: item.canvas
+                });
+            }
+            
+            for (const shown of item.displays) {
+                this.setOCRText(shown, ocr);
             }
+            
+        } catch (err) {
+            this.stats.errors++;
+            this.onError('OCR error: ' + err.message);
         }
         
-        this.processing = false;
+        this.ocrActive.splice(this.ocrActive.indexOf(item), 1);
+        entry.busy = false;
+        this.processOCRQueue();
+    }
+    
+    /**
+     * OCR an image outside the subtitle queue (e.g. extracted by FFmpeg)
+     * @param {Blob|HTMLCanvasElement|string} image
+     */
+    async recognize(image) {
+        const entry = this.workers.find(w => w.worker && w.language === this.ocrLanguage) || this.workers.find(w => w.worker);
+        if (!entry) throw new Error('Tesseract not ready');
+        return entry.worker.recognize(image);
     }
     
     /**
@@ -570,6 +1289,10 @@ export class DVBSubDecoder {
             ...this.stats,
             tesseractReady: this.tesseractReady,
             ocrQueueLength: this.ocrQueue.length,
+            // Language of each pool worker, and how many are reading
+            ocrWorkers: this.workers.map(entry => entry.language),
+            ocrWorkersBusy: this.ocrActive.length,
+            ocrWorkersMax: this.ocrWorkers,
             language: this.ocrLanguage
         };
     }
@@ -582,18 +1305,21 @@ export class DVBSubDecoder {
         this.regions.clear();
         this.cluts.clear();
         this.objects.clear();
+        this.acquired = false;
+        this.display = DEFAULT_DISPLAY;
+        this.shown = null;
+        clearTimeout(this.timeoutTimer);
         this.ocrQueue = [];
-        this.stats = { bitmapsDecoded: 0, ocrProcessed: 0, errors: 0 };
+        this.stats = { bitmapsDecoded: 0, duplicates: 0, ocrProcessed: 0, ocrCacheHits: 0, ocrDropped: 0, errors: 0 };
     }
     
     /**
      * Cleanup
      */
     async destroy() {
-        if (this.tesseractWorker) {
-            await this.tesseractWorker.terminate();
-            this.tesseractWorker = null;
-        }
+        const workers = this.workers.filter(entry => entry.worker);
+        this.workers = [];
+        await Promise.all(workers.map(entry => entry.worker.terminate()));
         this.tesseractReady = false;
         this.reset();
     }
@@ -607,11 +1333,45 @@ export class TSSubtitleExtractor {
     constructor(options = {}) {
         this.onPES = options.onPES || (() => {});
         this.onPMT = options.onPMT || (() => {});
+        this.onTable = options.onTable || (() => {});
+        this.onPrograms = options.onPrograms || (() => {});
+        this.onVideoPES = options.onVideoPES || (() => {});
+        this.onTeletextPES = options.onTeletextPES || (() => {});
+        this.onClockPIDs = options.onClockPIDs || (() => {});
         this.onLog = options.onLog || console.log;
         
         this.subtitlePIDs = new Set();
+        this.teletextPIDs = new Set();
         this.pesBuffers = new Map();
-        this.pmtPID = null;
+        
+        // Video PID of the active program, collected for caption user data when enabled
+        this.captionsEnabled = options.captions || false;
+        this.videoPID = null;
+        this.videoStreamType = null;
+        // PCR PID of the active program, reported with the video PID for the media clock
+        this.pcrPID = null;
+        
+        // Programs from the PAT: program_number -> { pmtPID, pmt, subtitleStreams }
+        this.programs = new Map();
+        this.pmtPIDs = new Set();
+        this.selectedProgram = options.program ?? null;
+        
+        // Packet framing across chunk boundaries, with confirmed resync
+        this.reader = new TSPacketReader({
+            onPacket: (packet) => this.parsePacket(packet),
+            onSyncLoss: () => this.onLog('TS sync lost, resyncing'),
+            onSyncAcquired: (resync) => {
+                if (resync) this.onLog(`TS sync re-acquired (${this.reader.stats.bytesSkipped} bytes skipped so far)`);
+            }
+        });
+        
+        // PSI/SI section reassembly with CRC and version checks
+        this.psiPIDs = new Set(Object.values(PSI_PIDS));
+        this.psi = new PSIParser({
+            onTable: (table) => this.handleTable(table),
+            onError: (msg, info) => this.onLog(`PSI error on PID ${info.pid}: ${msg}`),
+            onLog: (msg) => this.onLog(msg)
+        });
         
         // Known subtitle stream types
         this.SUBTITLE_TYPES = {
@@ -620,24 +1380,25 @@ export class TSSubtitleExtractor {
             0x90: 'PGS Subtitles',
             0x91: 'IGS Subtitles'
         };
+        
+        // Video stream types that carry A/53 caption user data
+        this.VIDEO_TYPES = new Set([0x01, 0x02, 0x1B, 0x24, 0x80]);
     }
     
     /**
-     * Parse TS packet buffer
+     * Parse a chunk of TS data. Chunks need not be packet aligned: a
+     * partial packet at the end is kept for the next call.
+     * @param {ArrayBuffer|Uint8Array} buffer
      */
     parse(buffer) {
-        const data = new Uint8Array(buffer);
-        let offset = 0;
-        
-        // Find sync byte
-        while (offset < data.length - 188) {
-            if (data[offset] === 0x47) {
-                this.parsePacket(data.slice(offset, offset + 188));
-                offset += 188;
-            } else {
-                offset++;
-            }
-        }
+        this.reader.push(buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer));
+    }
+    
+    /**
+     * Packet framing counters: packets, syncLosses, syncAcquisitions, resyncs, bytesSkipped
+     */
+    getSyncStats() {
+        return { ...this.reader.stats };
     }
     
     parsePacket(packet) {
@@ -656,147 +1417,314 @@ export class TSSubtitleExtractor {
         
         if (!(adaptationFieldControl & 0x01)) return; // No payload
         
-        const payload = packet.slice(payloadOffset);
-        
-        // PAT (PID 0)
-        if (pid === 0) {
-            this.parsePAT(payload);
-            return;
-        }
+        const payload = packet.subarray(payloadOffset);
         
-        // PMT
-        if (pid === this.pmtPID) {
-            this.parsePMT(payload);
+        // PSI/SI tables (PAT, CAT, NIT, SDT, EIT, TDT/TOT, ATSC PSIP) and the PMT
+        if (this.psiPIDs.has(pid) || this.pmtPIDs.has(pid)) {
+            this.psi.push(pid, payload, payloadUnitStart === 1);
             return;
         }
         
-        // Subtitle PID
-        if (this.subtitlePIDs.has(pid)) {
+        // Subtitle PID, and the video PID when captions are wanted
+        if (this.subtitlePIDs.has(pid) || (this.captionsEnabled && pid === this.videoPID)) {
             this.collectPES(pid, payload, payloadUnitStart);
         }
     }
     
-    parsePAT(data) {
-        // Skip pointer field if present
-        let offset = data[0] + 1;
+    handlePAT(pat) {
+        // Track every program, keeping PMTs we already have for programs still listed
+        const programs = new Map();
+        for (const entry of pat.programs) {
+            const existing = this.programs.get(entry.programNumber);
+            programs.set(entry.programNumber, {
+                programNumber: entry.programNumber,
+                pmtPID: entry.pmtPID,
+                pmt: existing && existing.pmtPID === entry.pmtPID ? existing.pmt : null,
+                subtitleStreams: existing && existing.pmtPID === entry.pmtPID ? existing.subtitleStreams : []
+            });
+        }
+        
+        this.programs = programs;
+        this.pmtPIDs = new Set(pat.programs.map(p => p.pmtPID));
         
-        if (offset + 8 > data.length) return;
+        if (this.selectedProgram !== null && !this.programs.has(this.selectedProgram)) {
+            this.onLog(`Selected program ${this.selectedProgram} is not in the PAT`);
+        }
         
-        const tableId = data[offset];
-        const sectionLength = ((data[offset + 1] & 0x0F) << 8) | data[offset + 2];
+        this.onLog(`PAT: ${programs.size} program(s): ${Array.from(programs.keys()).join(', ')}`);
+        this.updateSubtitlePIDs();
+        this.updateVideoPID();
+        this.onPrograms(this.getPrograms());
+    }
+    
+    handlePMT(pmt) {
+        const program = this.programs.get(pmt.programNumber);
+        if (!program) return;
         
-        offset += 8; // Skip to program loop
+        program.pmt = pmt;
+        program.subtitleStreams = [];
         
-        while (offset < data.length - 4) {
-            const programNumber = (data[offset] << 8) | data[offset + 1];
-            const pid = ((data[offset + 2] & 0x1F) << 8) | data[offset + 3];
+        for (const stream of pmt.streams) {
+            // Check for subtitle stream types
+            if (stream.streamType !== 0x06 && stream.streamType !== 0x59 && stream.streamType < 0x90) continue;
+            
+            // Check descriptors for subtitle tag (0x59)
+            const subtitling = stream.descriptors.find(d => d.tag === 0x59);
+            if (subtitling) { // DVB subtitling descriptor
+                program.subtitleStreams.push({
+                    pid: stream.pid,
+                    type: stream.streamType,
+                    typeName: this.SUBTITLE_TYPES[stream.streamType] || 'Unknown Subtitle',
+                    language: subtitling.entries[0]?.language,
+                    format: 'dvb-sub',
+                    // Subtitle services sharing the PID, each on pages of its own
+                    pages: subtitling.entries.map(entry => ({
+                        language: entry.language,
+                        subtitlingType: entry.subtitlingType,
+                        compositionPageId: entry.compositionPageId,
+                        ancillaryPageId: entry.ancillaryPageId
+                    }))
+                });
+                continue;
+            }
             
-            if (programNumber !== 0) {
-                this.pmtPID = pid;
+            // Teletext descriptor (0x56): subtitle pages decode straight to text
+            const teletext = stream.descriptors.find(d => d.tag === 0x56);
+            if (teletext) {
+                program.subtitleStreams.push({
+                    pid: stream.pid,
+                    type: stream.streamType,
+                    typeName: 'DVB Teletext',
+                    language: teletext.entries[0]?.language,
+                    format: 'teletext',
+                    // Page numbers are BCD within the magazine
+                    pages: teletext.entries.map(entry => ({
+                        language: entry.language,
+                        teletextType: entry.teletextType,
+                        page: entry.magazine * 100 + (entry.page >> 4) * 10 + (entry.page & 0x0F)
+                    }))
+                });
             }
-            offset += 4;
         }
+        
+        if (program === this.getActiveProgram()) {
+            this.updateSubtitlePIDs();
+            this.updateVideoPID();
+        }
+        this.onPrograms(this.getPrograms());
+    }
+    
+    /**
+     * The program subtitles are extracted from: the selected one if it
+     * is in the PAT, otherwise the first program listed
+     */
+    getActiveProgram() {
+        if (this.selectedProgram !== null && this.programs.has(this.selectedProgram)) {
+            return this.programs.get(this.selectedProgram);
+        }
+        return this.programs.values().next().value || null;
+    }
+    
+    /**
+     * Choose the program to extract subtitles from (null = automatic)
+     */
+    selectProgram(programNumber) {
+        this.selectedProgram = programNumber;
+        this.pesBuffers.clear();
+        this.updateSubtitlePIDs();
+        this.updateVideoPID();
+        this.onPrograms(this.getPrograms());
     }
     
-    parsePMT(data) {
-        let offset = data[0] + 1;
+    updateSubtitlePIDs() {
+        const program = this.getActiveProgram();
+        const streams = program ? program.subtitleStreams : [];
         
-        if (offset + 12 > data.length) return;
+        const changed = streams.length !== this.subtitlePIDs.size || streams.some(s => !this.subtitlePIDs.has(s.pid));
+        if (!changed) return;
         
-        const tableId = data[offset];
-        const sectionLength = ((data[offset + 1] & 0x0F) << 8) | data[offset + 2];
-        const programInfoLength = ((data[offset + 10] & 0x0F) << 8) | data[offset + 11];
+        this.subtitlePIDs = new Set(streams.map(s => s.pid));
+        this.teletextPIDs = new Set(streams.filter(s => s.format === 'teletext').map(s => s.pid));
+        this.pesBuffers.clear();
+        this.onPMT(streams);
         
-        offset += 12 + programInfoLength;
+        if (streams.length > 0) {
+            this.onLog(`Program ${program.programNumber}: ${streams.length} subtitle stream(s): PIDs ${Array.from(this.subtitlePIDs).join(', ')}`);
+        }
+    }
+    
+    /**
+     * Start or stop collecting the video PID for caption user data
+     */
+    setCaptionsEnabled(enabled) {
+        this.captionsEnabled = enabled;
+        if (!enabled && this.videoPID !== null) {
+            this.pesBuffers.delete(this.videoPID);
+        }
+    }
+    
+    updateVideoPID() {
+        const program = this.getActiveProgram();
+        const video = program?.pmt ? program.pmt.streams.find(s => this.VIDEO_TYPES.has(s.streamType)) : null;
+        const pid = video ? video.pid : null;
+        const pcrPID = program?.pmt && program.pmt.pcrPID !== NULL_PID ? program.pmt.pcrPID : null;
         
-        const streams = [];
+        if (pid === this.videoPID && pcrPID === this.pcrPID) return;
         
-        while (offset < data.length - 5) {
-            const streamType = data[offset];
-            const elementaryPID = ((data[offset + 1] & 0x1F) << 8) | data[offset + 2];
-            const esInfoLength = ((data[offset + 3] & 0x0F) << 8) | data[offset + 4];
-            
-            // Check for subtitle stream types
-            if (streamType === 0x06 || streamType === 0x59 || streamType >= 0x90) {
-                // Check descriptors for subtitle tag (0x59)
-                let descOffset = offset + 5;
-                const descEnd = descOffset + esInfoLength;
-                
-                while (descOffset < descEnd && descOffset < data.length - 2) {
-                    const descTag = data[descOffset];
-                    const descLen = data[descOffset + 1];
-                    
-                    if (descTag === 0x59) { // DVB subtitling descriptor
-                        this.subtitlePIDs.add(elementaryPID);
-                        streams.push({
-                            pid: elementaryPID,
-                            type: streamType,
-                            typeName: this.SUBTITLE_TYPES[streamType] || 'Unknown Subtitle'
-                        });
-                    }
-                    
-                    descOffset += 2 + descLen;
-                }
+        if (pid !== this.videoPID) {
+            if (this.videoPID !== null) {
+                this.pesBuffers.delete(this.videoPID);
             }
+            this.videoPID = pid;
+            this.videoStreamType = video ? video.streamType : null;
             
-            offset += 5 + esInfoLength;
+            if (video) {
+                this.onLog(`Program ${program.programNumber}: video PID ${pid} (${video.streamTypeName})`);
+            }
         }
         
-        if (streams.length > 0) {
-            this.onPMT(streams);
-            this.onLog(`Found ${streams.length} subtitle stream(s): PIDs ${Array.from(this.subtitlePIDs).join(', ')}`);
+        this.pcrPID = pcrPID;
+        // Not before the PMT: the clock waits for real PIDs rather than none
+        if (program?.pmt) {
+            this.onClockPIDs(this.videoPID, this.pcrPID);
         }
     }
     
-    collectPES(pid, payload, start) {
-        if (!this.pesBuffers.has(pid)) {
-            this.pesBuffers.set(pid, { data: [], pts: 0 });
+    getPrograms() {
+        const active = this.getActiveProgram();
+        return Array.from(this.programs.values()).map(program => ({
+            programNumber: program.programNumber,
+            pmtPID: program.pmtPID,
+            pcrPID: program.pmt ? program.pmt.pcrPID : null,
+            streams: program.pmt ? program.pmt.streams.map(s => ({ pid: s.pid, streamType: s.streamType, streamTypeName: s.streamTypeName })) : [],
+            subtitleStreams: program.subtitleStreams,
+            active: program === active
+        }));
+    }
+    
+    handleTable(table) {
+        if (table.type === 'PAT') {
+            this.handlePAT(table);
+        } else if (table.type === 'PMT') {
+            this.handlePMT(table);
+        } else if (table.type === 'MGT') {
+            this.handleMGT(table);
         }
         
-        const buffer = this.pesBuffers.get(pid);
+        this.onTable(table);
+    }
+    
+    handleMGT(mgt) {
+        // ATSC EIT/ETT PIDs are only announced in the MGT. EIT-0 and EIT-1
+        // cover the current and next three hours, enough for now/next.
+        const { CHANNEL_ETT, EIT, EVENT_ETT } = MGT_TABLE_TYPES;
+        
+        for (const table of mgt.tables) {
+            const type = table.tableType;
+            if (type === CHANNEL_ETT || type === EIT || type === EIT + 1 || type === EVENT_ETT || type === EVENT_ETT + 1) {
+                this.psiPIDs.add(table.pid);
+            }
+        }
+    }
+    
+    /**
+     * Reassemble PES packets into typed buffers. A packet with a
+     * PES_packet_length is emitted as soon as it is complete; unbounded
+     * ones (video) when the next one starts.
+     */
+    collectPES(pid, payload, start) {
+        let buffer = this.pesBuffers.get(pid);
+        if (!buffer) {
+            // scratch: the growing buffer unbounded packets are collected in
+            buffer = { data: null, length: 0, expected: null, pts: 0, scratch: null };
+            this.pesBuffers.set(pid, buffer);
+        }
         
         if (start) {
-            // New PES packet
-            if (buffer.data.length > 0) {
-                // Emit previous packet
+            // An unbounded packet ends where the next one starts. A bounded one
+            // still pending here was cut short, so it is dropped.
+            if (buffer.data && buffer.expected === null) {
                 this.emitPES(pid, buffer);
             }
+            buffer.data = null;
             
             // Parse PES header
-            if (payload.length > 9 && payload[0] === 0x00 && payload[1] === 0x00 && payload[2] === 0x01) {
-                const streamId = payload[3];
-                const pesPacketLength = (payload[4] << 8) | payload[5];
-                const ptsFlags = (payload[7] >> 6) & 0x03;
-                const headerDataLength = payload[8];
-                
-                let pts = 0;
-                if (ptsFlags & 0x02) {
-                    pts = ((payload[9] & 0x0E) << 29) |
-                          (payload[10] << 22) |
-                          ((payload[11] & 0xFE) << 14) |
-                          (payload[12] << 7) |
-                          ((payload[13] & 0xFE) >> 1);
-                }
-                
-                buffer.pts = pts;
-                buffer.data = Array.from(payload.slice(9 + headerDataLength));
+            if (payload.length <= 9 || payload[0] !== 0x00 || payload[1] !== 0x00 || payload[2] !== 0x01) return;
+            
+            const pesPacketLength = (payload[4] << 8) | payload[5];
+            const ptsFlags = (payload[7] >> 6) & 0x03;
+            const headerEnd = 9 + payload[8];
+            
+            buffer.pts = (ptsFlags & 0x02) ? readPTS(payload, 9) : 0;
+            buffer.length = 0;
+            
+            // PES_packet_length counts the bytes after itself; 0 = unbounded
+            if (pesPacketLength > 0) {
+                buffer.expected = pesPacketLength + 6 - headerEnd;
+                if (buffer.expected <= 0) return;
+                buffer.data = new Uint8Array(buffer.expected);
+            } else {
+                buffer.expected = null;
+                buffer.data = buffer.scratch || (buffer.scratch = new Uint8Array(4096));
             }
-        } else {
+            
+            this.appendPES(pid, buffer, payload.subarray(headerEnd));
+        } else if (buffer.data) {
             // Continuation
-            buffer.data.push(...payload);
+            this.appendPES(pid, buffer, payload);
+        }
+    }
+    
+    appendPES(pid, buffer, bytes) {
+        if (buffer.expected !== null) {
+            // Bytes past PES_packet_length are stuffing
+            bytes = bytes.subarray(0, buffer.expected - buffer.length);
+        } else if (buffer.length + bytes.length > buffer.data.length) {
+            const grown = new Uint8Array(Math.max(buffer.data.length * 2, buffer.length + bytes.length));
+            grown.set(buffer.data.subarray(0, buffer.length));
+            buffer.data = buffer.scratch = grown;
+        }
+        
+        buffer.data.set(bytes, buffer.length);
+        buffer.length += bytes.length;
+        
+        if (buffer.length === buffer.expected) {
+            this.emitPES(pid, buffer);
+            buffer.data = null;
         }
     }
     
+    /**
+     * Hand the reassembled payload to its consumer, which may keep it.
+     * Unbounded packets are copied out of the reused scratch buffer.
+     */
     emitPES(pid, buffer) {
-        if (buffer.data.length > 0) {
+        if (buffer.length === 0) return;
+        
+        const data = buffer.expected === null
+            ? buffer.data.slice(0, buffer.length)
+            : buffer.data.subarray(0, buffer.length);
+        
+        if (pid === this.videoPID) {
+            this.onVideoPES({
+                pid: pid,
+                pts: buffer.pts,
+                streamType: this.videoStreamType,
+                data
+            });
+        } else if (this.teletextPIDs.has(pid)) {
+            this.onTeletextPES({
+                pid: pid,
+                pts: buffer.pts,
+                data
+            });
+        } else {
             this.onPES({
                 pid: pid,
                 pts: buffer.pts,
-                data: new Uint8Array(buffer.data)
+                data
             });
         }
-        buffer.data = [];
-        buffer.pts = 0;
     }
     
     getSubtitlePIDs() {
@@ -805,7 +1733,15 @@ export class TSSubtitleExtractor {
     
     reset() {
         this.subtitlePIDs.clear();
+        this.teletextPIDs.clear();
         this.pesBuffers.clear();
-        this.pmtPID = null;
+        this.programs.clear();
+        this.pmtPIDs.clear();
+        this.videoPID = null;
+        this.videoStreamType = null;
+        this.pcrPID = null;
+        this.psiPIDs = new Set(Object.values(PSI_PIDS));
+        this.psi.reset();
+        this.reader.reset();
     }
 }
@@ -0,0 +1,608 @@
+/**
+ * Image Subtitle Export: Blu-ray PGS (.sup) and VobSub (.idx/.sub)
+ *
+ * Writes rendered DVB-SUB bitmaps as image subtitles, so they can be muxed
+ * with a recording without going through OCR. Every cue keeps its
+ * position on the subtitle display and its start and end time.
+ *
+ * Bitmaps are drawn from the CLUT without scaling or smoothing, so their
+ * distinct colours are the palette the broadcaster sent:
+ * - PGS takes up to 256 colours per picture, as BT.601 YCbCr plus alpha
+ * - VobSub allows 16 colours per file and 4 per picture: each picture
+ *   keeps its most used colours and the file palette the most used of
+ *   those; anything else maps to the nearest
+ *
+ * Cues are { canvas, x, y, displayWidth, displayHeight, start, end },
+ * times in seconds.
+ */
+
+// PGS segment types
+const PGS_PALETTE = 0x14;
+const PGS_OBJECT = 0x15;
+const PGS_PRESENTATION = 0x16;
+const PGS_WINDOW = 0x17;
+const PGS_END = 0x80;
+
+// Largest segment payload
+const PGS_MAX_SEGMENT = 0xFFFF;
+
+// VobSub packs are DVD sectors
+const VOBSUB_PACK_SIZE = 2048;
+// SPU_DCSQ dates count in 1024/90000 s
+const SPU_DATE_UNIT = 1024 / 90000;
+
+// ISO 639-2 codes (B and T forms) to the ISO 639-1 codes a VobSub idx names languages by
+const VOBSUB_LANGUAGES = {
+    alb: 'sq', sqi: 'sq', ara: 'ar', arm: 'hy', hye: 'hy', baq: 'eu', eus: 'eu',
+    bul: 'bg', cat: 'ca', chi: 'zh', zho: 'zh', hrv: 'hr', cze: 'cs', ces: 'cs',
+    dan: 'da', dut: 'nl', nld: 'nl', eng: 'en', est: 'et', fin: 'fi', fre: 'fr',
+    fra: 'fr', gla: 'gd', gle: 'ga', glg: 'gl', geo: 'ka', kat: 'ka', ger: 'de',
+    deu: 'de', gre: 'el', ell: 'el', heb: 'he', hin: 'hi', hun: 'hu', ice: 'is',
+    isl: 'is', ind: 'id', ita: 'it', jpn: 'ja', kor: 'ko', lav: 'lv', lit: 'lt',
+    mac: 'mk', mkd: 'mk', may: 'ms', msa: 'ms', nor: 'no', nob: 'nb', nno: 'nn',
+    per: 'fa', fas: 'fa', pol: 'pl', por: 'pt', rum: 'ro', ron: 'ro', rus: 'ru',
+    srp: 'sr', slo: 'sk', slk: 'sk', slv: 'sl', spa: 'es', swe: 'sv', tha: 'th',
+    tur: 'tr', ukr: 'uk', vie: 'vi', wel: 'cy', cym: 'cy'
+};
+
+class ByteWriter {
+    constructor() {
+        this.bytes = [];
+    }
+
+    u8(value) {
+        this.bytes.push(value & 0xFF);
+    }
+
+    u16(value) {
+        this.bytes.push((value >> 8) & 0xFF, value & 0xFF);
+    }
+
+    u24(value) {
+        this.bytes.push((value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF);
+    }
+
+    u32(value) {
+        this.u16(Math.floor(value / 65536) & 0xFFFF);
+        this.u16(value & 0xFFFF);
+    }
+
+    append(bytes) {
+        for (let i = 0; i < bytes.length; i++) {
+            this.bytes.push(bytes[i]);
+        }
+    }
+
+    get length() {
+        return this.bytes.length;
+    }
+
+    toUint8Array() {
+        return Uint8Array.from(this.bytes);
+    }
+}
+
+/**
+ * Pixels of a cue as one colour key per pixel, fully transparent as 0
+ * @returns {{width: number, height: number, keys: Uint32Array}}
+ */
+function readColors(cue) {
+    const width = cue.canvas.width;
+    const height = cue.canvas.height;
+    const data = cue.canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    const keys = new Uint32Array(width * height);
+
+    for (let i = 0; i < keys.length; i++) {
+        const a = data[i * 4 + 3];
+        keys[i] = a === 0 ? 0 : ((data[i * 4] << 24) | (data[i * 4 + 1] << 16) | (data[i * 4 + 2] << 8) | a) >>> 0;
+    }
+
+    return { width, height, keys };
+}
+
+/**
+ * Colour keys of an image, most used first
+ */
+function countColors(keys) {
+    const counts = new Map();
+    for (const key of keys) {
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([key, count]) => ({ key, count }));
+}
+
+function unpack(key) {
+    return { r: key >>> 24, g: (key >> 16) & 0xFF, b: (key >> 8) & 0xFF, a: key & 0xFF };
+}
+
+/**
+ * Index of the candidate colour closest to key
+ */
+function nearest(key, candidates) {
+    const color = unpack(key);
+    let best = 0;
+    let bestDistance = Infinity;
+
+    candidates.forEach((candidate, index) => {
+        const c = unpack(candidate);
+        const distance = (c.r - color.r) ** 2 + (c.g - color.g) ** 2 + (c.b - color.b) ** 2 + (c.a - color.a) ** 2;
+        if (distance < bestDistance) {
+            best = index;
+            bestDistance = distance;
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Map every pixel to an index into palette (a list of colour keys)
+ */
+function indexPixels(keys, palette) {
+    const lookup = new Map(palette.map((key, index) => [key, index]));
+    const indices = new Uint8Array(keys.length);
+
+    for (let i = 0; i < keys.length; i++) {
+        let index = lookup.get(keys[i]);
+        if (index === undefined) {
+            index = nearest(keys[i], palette);
+            lookup.set(keys[i], index);
+        }
+        indices[i] = index;
+    }
+
+    return indices;
+}
+
+function toYCbCr(key) {
+    const { r, g, b, a } = unpack(key);
+    const clamp = (value) => Math.max(16, Math.min(235, Math.round(value)));
+
+    return {
+        y: clamp(16 + (65.481 * r + 128.553 * g + 24.966 * b) / 255),
+        cb: clamp(128 + (-37.797 * r - 74.203 * g + 112 * b) / 255),
+        cr: clamp(128 + (112 * r - 93.786 * g - 18.214 * b) / 255),
+        a
+    };
+}
+
+function toTicks(seconds) {
+    return Math.max(0, Math.round(seconds * 90000));
+}
+
+// ========================
+// PGS
+// ========================
+
+function pgsSegment(out, type, pts, payload) {
+    out.u8(0x50); // 'P'
+    out.u8(0x47); // 'G'
+    out.u32(pts);
+    out.u32(0); // DTS
+    out.u8(type);
+    out.u16(payload.length);
+    out.append(payload.bytes);
+}
+
+/**
+ * PGS run-length coding: 0 is the escape byte, so colour 0 runs and runs
+ * of 3+ go after one, and every line ends with 0x00 0x00
+ */
+function pgsRLE(indices, width, height) {
+    const out = new ByteWriter();
+
+    for (let y = 0; y < height; y++) {
+        const row = y * width;
+        let x = 0;
+
+        while (x < width) {
+            const color = indices[row + x];
+            let run = 1;
+            while (x + run < width && run < 0x3FFF && indices[row + x + run] === color) run++;
+
+            if (color === 0) {
+                if (run < 64) {
+                    out.u8(0);
+                    out.u8(run);
+                } else {
+                    out.u8(0);
+                    out.u16(0x4000 | run);
+                }
+            } else if (run < 3) {
+                for (let i = 0; i < run; i++) out.u8(color);
+            } else if (run < 64) {
+                out.u8(0);
+                out.u8(0x80 | run);
+                out.u8(color);
+            } else {
+                out.u8(0);
+                out.u16(0xC000 | run);
+                out.u8(color);
+            }
+
+            x += run;
+        }
+
+        out.u8(0);
+        out.u8(0);
+    }
+
+    return out.bytes;
+}
+
+function pgsComposition(width, height, number, state, objects) {
+    const pcs = new ByteWriter();
+    pcs.u16(width);
+    pcs.u16(height);
+    pcs.u8(0x10); // frame rate, ignored by players
+    pcs.u16(number);
+    pcs.u8(state);
+    pcs.u8(0x00); // palette_update_flag
+    pcs.u8(0); // palette_id
+    pcs.u8(objects.length);
+    for (const object of objects) {
+        pcs.u16(0); // object_id
+        pcs.u8(0); // window_id
+        pcs.u8(0x00); // not cropped
+        pcs.u16(object.x);
+        pcs.u16(object.y);
+    }
+    return pcs;
+}
+
+function pgsWindow(x, y, width, height) {
+    const wds = new ByteWriter();
+    wds.u8(1);
+    wds.u8(0); // window_id
+    wds.u16(x);
+    wds.u16(y);
+    wds.u16(width);
+    wds.u16(height);
+    return wds;
+}
+
+/**
+ * Blu-ray PGS subtitle stream: per cue, an epoch start showing the
+ * bitmap and an empty composition at its end
+ * @param {Array<Object>} cues
+ * @returns {Uint8Array} .sup file contents
+ */
+export function generatePGS(cues) {
+    const out = new ByteWriter();
+    let number = 0;
+
+    for (const cue of cues) {
+        const { width, height, keys } = readColors(cue);
+        if (width === 0 || height === 0) continue;
+
+        const start = toTicks(cue.start);
+        const end = Math.max(start + 1, toTicks(cue.end));
+        const x = Math.round(cue.x);
+        const y = Math.round(cue.y);
+
+        // Transparent first: PGS run-length codes favour colour 0
+        const colors = countColors(keys).map(color => color.key).filter(key => key !== 0);
+        const palette = [0, ...colors.slice(0, 255)];
+        const rle = pgsRLE(indexPixels(keys, palette), width, height);
+
+        pgsSegment(out, PGS_PRESENTATION, start, pgsComposition(cue.displayWidth, cue.displayHeight, number++, 0x80, [{ x, y }]));
+        pgsSegment(out, PGS_WINDOW, start, pgsWindow(x, y, width, height));
+
+        const pds = new ByteWriter();
+        pds.u8(0); // palette_id
+        pds.u8(0); // palette_version
+        palette.forEach((key, index) => {
+            const color = toYCbCr(key);
+            pds.u8(index);
+            pds.u8(color.y);
+            pds.u8(color.cr);
+            pds.u8(color.cb);
+            pds.u8(color.a);
+        });
+        pgsSegment(out, PGS_PALETTE, start, pds);
+
+        // Object data split over segments: the first also carries length and size
+        let offset = 0;
+        let first = true;
+        while (first || offset < rle.length) {
+            const ods = new ByteWriter();
+            ods.u16(0); // object_id
+            ods.u8(0); // object_version
+            const room = PGS_MAX_SEGMENT - 4 - (first ? 7 : 0);
+            const chunk = rle.slice(offset, offset + room);
+            offset += chunk.length;
+            const last = offset >= rle.length;
+            ods.u8((first ? 0x80 : 0) | (last ? 0x40 : 0));
+            if (first) {
+                ods.u24(rle.length + 4);
+                ods.u16(width);
+                ods.u16(height);
+            }
+            ods.append(chunk);
+            pgsSegment(out, PGS_OBJECT, start, ods);
+            first = false;
+        }
+
+        pgsSegment(out, PGS_END, start, new ByteWriter());
+
+        // Clear at the end time
+        pgsSegment(out, PGS_PRESENTATION, end, pgsComposition(cue.displayWidth, cue.displayHeight, number++, 0x00, []));
+        pgsSegment(out, PGS_WINDOW, end, pgsWindow(x, y, width, height));
+        pgsSegment(out, PGS_END, end, new ByteWriter());
+    }
+
+    return out.toUint8Array();
+}
+
+// ========================
+// VobSub
+// ========================
+
+/**
+ * Up to 4 colours for a picture: transparent (if used) as background,
+ * then the most used
+ */
+function pictureColors(keys) {
+    const counts = countColors(keys);
+    const transparent = counts.find(color => color.key === 0);
+    const opaque = counts.filter(color => color.key !== 0);
+    return transparent ? [transparent, ...opaque.slice(0, 3)] : opaque.slice(0, 4);
+}
+
+/**
+ * Nibble writer for SPU run-length codes (DVD 2-bit pixels)
+ */
+function spuField(codes, width, height, firstLine) {
+    const nibbles = [];
+
+    const run = (length, code) => {
+        if (length < 4) {
+            nibbles.push((length << 2) | code);
+        } else if (length < 16) {
+            nibbles.push(length >> 2, ((length & 3) << 2) | code);
+        } else if (length < 64) {
+            nibbles.push(0, length >> 2, ((length & 3) << 2) | code);
+        } else {
+            nibbles.push(0, length >> 6, (length >> 2) & 0x0F, ((length & 3) << 2) | code);
+        }
+    };
+
+    for (let y = firstLine; y < height; y += 2) {
+        const row = y * width;
+        let x = 0;
+
+        while (x < width) {
+            const code = codes[row + x];
+            let length = 1;
+            while (x + length < width && codes[row + x + length] === code) length++;
+
+            if (x + length === width && length > 255) {
+                // Run to the end of the line
+                nibbles.push(0, 0, 0, code);
+            } else {
+                for (let remaining = length; remaining > 0; remaining -= 255) {
+                    run(Math.min(remaining, 255), code);
+                }
+            }
+            x += length;
+        }
+
+        // Lines start on a byte boundary
+        if (nibbles.length % 2) nibbles.push(0);
+    }
+
+    const bytes = [];
+    for (let i = 0; i < nibbles.length; i += 2) {
+        bytes.push((nibbles[i] << 4) | nibbles[i + 1]);
+    }
+    return bytes;
+}
+
+/**
+ * One subpicture unit: interlaced pixel data and the display/stop commands
+ * @param {Array<number>} colors - File palette index per 2-bit code
+ * @param {Array<number>} alphas - 0-15 per 2-bit code
+ */
+function buildSPU(codes, width, height, x, y, colors, alphas, duration) {
+    const top = spuField(codes, width, height, 0);
+    const bottom = spuField(codes, width, height, 1);
+
+    const out = new ByteWriter();
+    const controlOffset = 4 + top.length + bottom.length;
+    // The display sequence below is 24 bytes
+    const stopOffset = controlOffset + 24;
+
+    out.u16(0); // size, patched below
+    out.u16(controlOffset);
+    out.append(top);
+    out.append(bottom);
+
+    // Display at the PTS: colours, contrast, area, field offsets
+    out.u16(0);
+    out.u16(stopOffset);
+    out.u8(0x03);
+    out.u8((colors[3] << 4) | colors[2]);
+    out.u8((colors[1] << 4) | colors[0]);
+    out.u8(0x04);
+    out.u8((alphas[3] << 4) | alphas[2]);
+    out.u8((alphas[1] << 4) | alphas[0]);
+    const x2 = x + width - 1;
+    const y2 = y + height - 1;
+    out.u8(0x05);
+    out.u8(x >> 4);
+    out.u8(((x & 0x0F) << 4) | (x2 >> 8));
+    out.u8(x2 & 0xFF);
+    out.u8(y >> 4);
+    out.u8(((y & 0x0F) << 4) | (y2 >> 8));
+    out.u8(y2 & 0xFF);
+    out.u8(0x06);
+    out.u16(4);
+    out.u16(4 + top.length);
+    out.u8(0x01);
+    out.u8(0xFF);
+
+    // Stop after the cue's duration
+    out.u16(Math.min(0xFFFF, Math.round(duration / SPU_DATE_UNIT)));
+    out.u16(stopOffset);
+    out.u8(0x02);
+    out.u8(0xFF);
+
+    const bytes = out.bytes;
+    bytes[0] = (bytes.length >> 8) & 0xFF;
+    bytes[1] = bytes.length & 0xFF;
+    return bytes;
+}
+
+/**
+ * MPEG-2 SCR/PTS fields split into the 3 high and 30 low bits of the 33
+ */
+function splitTimestamp(ticks) {
+    return { high: Math.floor(ticks / 1073741824) & 0x07, low: ticks % 1073741824 };
+}
+
+/**
+ * An SPU as 2048-byte program stream packs of private stream 1, substream 0x20
+ */
+function packSPU(spu, pts) {
+    const packs = [];
+    const { high, low } = splitTimestamp(pts);
+    let offset = 0;
+
+    while (offset < spu.length) {
+        const first = offset === 0;
+        const pack = new ByteWriter();
+
+        // Pack header with SCR = PTS
+        pack.append([0x00, 0x00, 0x01, 0xBA]);
+        pack.u8(0x44 | (high << 3) | ((low >> 28) & 0x03));
+        pack.u8((low >> 20) & 0xFF);
+        pack.u8(((low >> 12) & 0xF8) | 0x04 | ((low >> 13) & 0x03));
+        pack.u8((low >> 5) & 0xFF);
+        pack.u8(((low << 3) & 0xF8) | 0x04);
+        pack.u8(0x01);
+        pack.append([0x01, 0x89, 0xC3]); // program_mux_rate
+        pack.u8(0xF8); // no pack stuffing
+
+        let headerLength = first ? 5 : 0;
+        const room = VOBSUB_PACK_SIZE - pack.length - 9 - headerLength - 1;
+        const chunk = spu.slice(offset, offset + room);
+        offset += chunk.length;
+
+        // Short packs are filled with PES stuffing, or a padding packet when there is room for one
+        let spare = room - chunk.length;
+        const stuffing = spare < 6 ? spare : 0;
+        spare -= stuffing;
+        headerLength += stuffing;
+
+        pack.append([0x00, 0x00, 0x01, 0xBD]);
+        pack.u16(3 + headerLength + 1 + chunk.length);
+        pack.u8(0x81);
+        pack.u8(first ? 0x80 : 0x00);
+        pack.u8(headerLength);
+        if (first) {
+            pack.u8(0x21 | (high << 1));
+            pack.u8((low >> 22) & 0xFF);
+            pack.u8(((low >> 14) & 0xFE) | 0x01);
+            pack.u8((low >> 7) & 0xFF);
+            pack.u8(((low << 1) & 0xFE) | 0x01);
+        }
+        for (let i = 0; i < stuffing; i++) pack.u8(0xFF);
+        pack.u8(0x20); // substream id
+        pack.append(chunk);
+
+        if (spare > 0) {
+            pack.append([0x00, 0x00, 0x01, 0xBE]);
+            pack.u16(spare - 6);
+            for (let i = 0; i < spare - 6; i++) pack.u8(0xFF);
+        }
+
+        packs.push(pack.bytes);
+    }
+
+    return packs;
+}
+
+function formatIdxTime(seconds) {
+    const ms = Math.max(0, Math.round(seconds * 1000));
+    const pad = (value, length) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(ms / 3600000), 2)}:${pad(Math.floor(ms / 60000) % 60, 2)}:${pad(Math.floor(ms / 1000) % 60, 2)}:${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * VobSub subtitle pair
+ * @param {Array<Object>} cues
+ * @param {Object} [options]
+ * @param {string} [options.language] - ISO 639-2 code of the stream (or
+ *   an ISO 639-1 one), written to the idx by its two-letter code
+ * @returns {{idx: string, sub: Uint8Array}}
+ */
+export function generateVobSub(cues, options = {}) {
+    const code = (options.language || '').toLowerCase();
+    const language = code.length === 2 ? code : VOBSUB_LANGUAGES[code] || 'en';
+
+    // First pass: each picture's colours, and how much the file uses each
+    const pictures = [];
+    const usage = new Map();
+    for (const cue of cues) {
+        const image = readColors(cue);
+        if (image.width === 0 || image.height === 0) continue;
+
+        const colors = pictureColors(image.keys);
+        for (const color of colors) {
+            if (color.key === 0) continue;
+            const rgb = (color.key & 0xFFFFFF00) >>> 0;
+            usage.set(rgb, (usage.get(rgb) || 0) + color.count);
+        }
+        pictures.push({ cue, image, colors });
+    }
+
+    // File palette: black for transparency, then the most used colours
+    const palette = [0, ...Array.from(usage.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([rgb]) => rgb)
+        .filter(rgb => rgb !== 0)
+        .slice(0, 15)];
+    while (palette.length < 16) palette.push(0);
+
+    const sub = new ByteWriter();
+    const size = pictures.length > 0 ? pictures[0].cue : { displayWidth: 720, displayHeight: 576 };
+    let idx = '# VobSub index file, v7 (do not modify this line!)\n';
+    idx += `size: ${size.displayWidth}x${size.displayHeight}\n`;
+    idx += 'org: 0, 0\n';
+    idx += 'scale: 100%, 100%\n';
+    idx += 'alpha: 100%\n';
+    idx += 'smooth: OFF\n';
+    idx += 'fadein/out: 0, 0\n';
+    idx += 'align: OFF at LEFT TOP\n';
+    idx += 'time offset: 0\n';
+    idx += 'forced subs: OFF\n';
+    idx += `palette: ${palette.map(rgb => (rgb >>> 8).toString(16).padStart(6, '0')).join(', ')}\n`;
+    idx += 'custom colors: OFF, tridx: 0000, colors: 000000, 000000, 000000, 000000\n';
+    idx += 'langidx: 0\n';
+    idx += `id: ${language}, index: 0\n`;
+
+    for (const { cue, image, colors } of pictures) {
+        const keys = colors.map(color => color.key);
+        const codes = indexPixels(image.keys, keys);
+
+        const paletteIndices = [0, 0, 0, 0];
+        const alphas = [0, 0, 0, 0];
+        keys.forEach((key, code) => {
+            if (key === 0) return;
+            paletteIndices[code] = nearest((key | 0xFF) >>> 0, palette.map(rgb => (rgb | 0xFF) >>> 0));
+            alphas[code] = Math.round((key & 0xFF) / 255 * 15);
+        });
+
+        const spu = buildSPU(codes, image.width, image.height, Math.round(cue.x), Math.round(cue.y),
+            paletteIndices, alphas, Math.max(0, cue.end - cue.start));
+
+        idx += `timestamp: ${formatIdxTime(cue.start)}, filepos: ${sub.length.toString(16).padStart(9, '0')}\n`;
+        for (const pack of packSPU(spu, toTicks(cue.start))) {
+            sub.append(pack);
+        }
+    }
+
+    return { idx, sub: sub.toUint8Array() };
+}
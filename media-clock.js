@@ -0,0 +1,199 @@
+/**
+ * Stream Clock to Player Time Mapping
+ *
+ * Subtitle and caption decoders stamp cues with the stream's 90 kHz PTS,
+ * while mpegts.js rebases the timeline so video.currentTime starts near
+ * zero at the first decoded video sample. MediaClock follows the video
+ * timestamps and the PCR of the stream the player is fed and maps any PTS
+ * onto the player timeline:
+ * - The first video DTS (PTS when absent) after a (re)start is player time 0
+ * - 33-bit wraparound is unwrapped against the latest PCR
+ * - A PCR discontinuity (signalled, or the PCR stepping backwards or
+ *   jumping ahead) continues the timeline from the PCR before it, as the
+ *   player plays on across it
+ *
+ * Arrival time plays no part: a stalled connection delivers the same PCRs
+ * late and in a burst, and mpegts.js doesn't shift its timeline for it.
+ *
+ * Against video.currentTime, the latest PCR also gives how far the player
+ * runs behind the live stream.
+ *
+ * Video and PCR PIDs come from the PMT of the active program (setPIDs), as
+ * a multi-program mux carries several of each. They arrive from the
+ * subtitle pipeline a little after the packets, so until then the latest
+ * PCR and first video timestamp of every PID are noted to start from.
+ */
+
+import { PTS_WRAP, parsePacketHeader, readPTS } from './ts-packet.js';
+
+const PTS_HZ = 90000;
+
+// PCR steps ahead further than this are discontinuities (90 kHz); PCRs come every 100 ms at most
+const MAX_PCR_STEP = PTS_HZ / 2;
+
+export class MediaClock {
+    constructor(options = {}) {
+        this.onLog = options.onLog || console.log;
+
+        this.reset();
+    }
+
+    reset() {
+        // Set from the PMT; nothing is followed before
+        this.pidsKnown = false;
+        this.videoPID = null;
+        this.pcrPID = null;
+        // Until then: pid -> latest PCR base, pid -> first video timestamp
+        this.earlyPCR = new Map();
+        this.earlyVideo = new Map();
+        // Added to raw timestamps to put them on one continuous timeline
+        this.offset = 0;
+        // Latest PCR base on the continuous timeline
+        this.pcr = null;
+        // Continuous timestamp of player time 0
+        this.base = null;
+
+        this.stats = {
+            wraps: 0,
+            discontinuities: 0
+        };
+    }
+
+    /**
+     * Follow the video and PCR PIDs of the active program. A change of
+     * either starts the timeline over.
+     * @param {number|null} videoPID
+     * @param {number|null} pcrPID
+     */
+    setPIDs(videoPID, pcrPID) {
+        if (this.pidsKnown && videoPID === this.videoPID && pcrPID === this.pcrPID) return;
+
+        const early = this.pidsKnown ? null : { pcr: this.earlyPCR.get(pcrPID), video: this.earlyVideo.get(videoPID) };
+        this.reset();
+        this.pidsKnown = true;
+        this.videoPID = videoPID;
+        this.pcrPID = pcrPID;
+        this.onLog(`Following video PID ${videoPID ?? '-'}, PCR PID ${pcrPID ?? '-'}`);
+
+        if (early && early.pcr !== undefined) {
+            this.addPCR(early.pcr, false);
+        }
+        if (early && early.video) {
+            this.setBase(early.video, videoPID);
+        }
+    }
+
+    /**
+     * @param {Uint8Array} packet - 188-byte packet
+     */
+    processPacket(packet) {
+        const header = parsePacketHeader(packet);
+
+        if (!this.pidsKnown) {
+            if (header.pcr !== null) {
+                this.earlyPCR.set(header.pid, Math.floor(header.pcr / 300));
+            }
+            if (header.payloadUnitStart && header.hasPayload && !this.earlyVideo.has(header.pid)) {
+                const timestamp = this.readVideoTimestamp(packet, header.payloadOffset);
+                if (timestamp) this.earlyVideo.set(header.pid, timestamp);
+            }
+            return;
+        }
+
+        if (header.pcr !== null && header.pid === this.pcrPID) {
+            this.addPCR(Math.floor(header.pcr / 300), header.discontinuity);
+        }
+
+        if (header.payloadUnitStart && header.hasPayload && header.pid === this.videoPID && this.base === null) {
+            const timestamp = this.readVideoTimestamp(packet, header.payloadOffset);
+            if (timestamp) this.setBase(timestamp, header.pid);
+        }
+    }
+
+    addPCR(pcr, discontinuity) {
+        let value = pcr + this.offset;
+
+        if (this.pcr !== null) {
+            if (this.pcr - value > PTS_WRAP / 2) {
+                this.offset += PTS_WRAP;
+                value += PTS_WRAP;
+                this.stats.wraps++;
+            }
+
+            const step = value - this.pcr;
+            if (discontinuity || step < 0 || step > MAX_PCR_STEP) {
+                this.offset -= step;
+                value = this.pcr;
+                this.stats.discontinuities++;
+                this.onLog(`PCR discontinuity on PID ${this.pcrPID}, player timeline continued`);
+            }
+        }
+
+        this.pcr = value;
+    }
+
+    /**
+     * DTS (PTS when absent) of a video PES starting at offset
+     * @returns {Object|null} { value, kind: 'DTS'|'PTS' }
+     */
+    readVideoTimestamp(packet, offset) {
+        // PES header up to the PTS and DTS fields, with a video stream_id
+        if (offset + 19 > packet.length) return null;
+        if (packet[offset] !== 0x00 || packet[offset + 1] !== 0x00 || packet[offset + 2] !== 0x01) return null;
+        if ((packet[offset + 3] & 0xF0) !== 0xE0) return null;
+
+        const ptsDtsFlags = packet[offset + 7] >> 6;
+        if (!(ptsDtsFlags & 0x02)) return null;
+
+        return ptsDtsFlags === 0x03
+            ? { value: readPTS(packet, offset + 14), kind: 'DTS' }
+            : { value: readPTS(packet, offset + 9), kind: 'PTS' };
+    }
+
+    setBase(timestamp, pid) {
+        // mpegts.js starts its timeline at the first sample's decode time
+        this.base = this.unwrap(timestamp.value);
+        this.onLog(`Player time 0 at video ${timestamp.kind} ${timestamp.value} (PID ${pid})`);
+    }
+
+    /**
+     * Raw 33-bit timestamp onto the continuous timeline, taking the
+     * wrap nearest the latest PCR
+     */
+    unwrap(pts) {
+        let value = pts + this.offset;
+        const reference = this.pcr !== null ? this.pcr : this.base;
+        if (reference !== null) {
+            value += Math.round((reference - value) / PTS_WRAP) * PTS_WRAP;
+        }
+        return value;
+    }
+
+    /**
+     * Player time of a stream timestamp
+     * @param {number} pts - 90 kHz PTS (may exceed 33 bits, e.g. PTS plus a duration)
+     * @returns {number|null} Seconds on the video.currentTime timeline, null before any video
+     */
+    toPlayerTime(pts) {
+        if (this.base === null) return null;
+        return (this.unwrap(pts % PTS_WRAP) - this.base) / PTS_HZ;
+    }
+
+    /**
+     * How far the player runs behind the latest PCR received
+     * @param {number} currentTime - video.currentTime
+     * @returns {number|null} Seconds
+     */
+    getLatency(currentTime) {
+        if (this.base === null || this.pcr === null) return null;
+        return (this.pcr - this.base) / PTS_HZ - currentTime;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            videoPID: this.videoPID,
+            pcrPID: this.pcrPID
+        };
+    }
+}
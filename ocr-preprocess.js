@@ -0,0 +1,232 @@
+/**
+ * OCR Preprocessing for DVB Subtitle Bitmaps
+ *
+ * DVB subtitles come out of the decoder as small, coloured, anti-aliased
+ * text, usually outlined and sometimes on a box. Tesseract reads dark text
+ * on a light page at 20-40 px per line best, so before OCR a bitmap is:
+ * - Reduced to its foreground: the pixels nearest the text colour, picked
+ *   from the few CLUT colours the page uses ('clut'), or its bright pixels
+ *   ('luma')
+ * - Stripped of the outline ringing the text against the background
+ * - Upscaled, with smoothing so edges stay soft until binarization
+ * - Binarized to black on white at the threshold
+ * - Padded with a white margin
+ *
+ * Runs in the subtitle worker as bitmaps are rendered, on OffscreenCanvas,
+ * so the main thread only hands the result to Tesseract. The settings
+ * preview in the Subtitles tab also runs it on the main thread.
+ */
+
+export const DEFAULT_PREPROCESS = {
+    enabled: true,
+    // 'clut' (text colour from the palette) or 'luma' (brightness)
+    foreground: 'clut',
+    removeOutline: true,
+    // Upscale factor, 1-4
+    scale: 3,
+    binarize: true,
+    // 0-255: darker output pixels become text
+    threshold: 128,
+    // White margin around the text (px, after scaling)
+    padding: 10
+};
+
+// Palette colours covering less of the bitmap than this are anti-aliasing shades
+const MIN_COLOR_SHARE = 0.03;
+
+// Pixels this transparent count as background
+const MIN_ALPHA = 128;
+
+function createCanvas(width, height) {
+    if (typeof document === 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Premultiplied RGBA, so transparent pixels of any colour are alike
+ */
+function premultiply(r, g, b, a) {
+    return [r * a / 255, g * a / 255, b * a / 255, a];
+}
+
+function distance(p, q) {
+    return Math.hypot(p[0] - q[0], p[1] - q[1], p[2] - q[2], p[3] - q[3]);
+}
+
+/**
+ * Whether the pixel at x, y has a transparent 4-neighbour. The edges of
+ * the bitmap don't count: a box runs right up to them.
+ */
+function touchesTransparency(data, width, height, x, y) {
+    const transparent = (nx, ny) => nx >= 0 && ny >= 0 && nx < width && ny < height && data[(ny * width + nx) * 4 + 3] < MIN_ALPHA;
+    return transparent(x - 1, y) || transparent(x + 1, y) || transparent(x, y - 1) || transparent(x, y + 1);
+}
+
+function luma(r, g, b) {
+    return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+/**
+ * Find the text, outline and box colours of a subtitle bitmap. DVB pages
+ * draw from a small CLUT, so the bitmap holds a handful of colours:
+ * - A box fills the rows looked at out to all four sides, away from
+ *   transparency
+ * - An outline lies mostly along transparent pixels
+ * - The text fill is the main colour least exposed to transparency
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} [top] - First row to look at, e.g. of one line of text
+ * @param {number} [bottom] - Row after the last
+ * @returns {Object} { text, outline, box } as {r, g, b, a} (outline and box null when absent), colors: [{r, g, b, a, count}]
+ */
+export function analyzePalette(canvas, top = 0, bottom = canvas.height) {
+    const { width, height } = canvas;
+    const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    const colors = new Map();
+    let opaque = 0;
+
+    for (let y = top; y < bottom; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            if (data[i + 3] < MIN_ALPHA) continue;
+            opaque++;
+
+            const key = ((data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | data[i + 3]) >>> 0;
+            let color = colors.get(key);
+            if (!color) {
+                color = { r: data[i], g: data[i + 1], b: data[i + 2], a: data[i + 3], count: 0, edge: 0, sides: 0 };
+                colors.set(key, color);
+            }
+            color.count++;
+
+            if (touchesTransparency(data, width, height, x, y)) {
+                color.edge++;
+            }
+            color.sides |= (x === 0 ? 1 : 0) | (x === width - 1 ? 2 : 0) | (y === top ? 4 : 0) | (y === bottom - 1 ? 8 : 0);
+        }
+    }
+
+    const all = Array.from(colors.values()).sort((a, b) => b.count - a.count);
+    const main = all.filter(c => c.count >= opaque * MIN_COLOR_SHARE);
+
+    const box = main.find(c => c.sides === 15 && c.edge / c.count < 0.1) || null;
+    const candidates = main.filter(c => c !== box);
+    if (candidates.length === 0) {
+        return { text: box, outline: null, box: null, colors: all };
+    }
+
+    const text = candidates.reduce((best, c) => c.edge / c.count < best.edge / best.count ? c : best);
+    // The outline wraps the text, so it is the most exposed of the rest
+    const rest = candidates.filter(c => c !== text);
+    const outline = rest.length > 0 ? rest.reduce((best, c) => c.edge / c.count > best.edge / best.count ? c : best) : null;
+
+    return { text, outline, box, colors: all };
+}
+
+/**
+ * Foreground strength (0-255) of each pixel
+ */
+function extractForeground(canvas, options) {
+    const { width, height } = canvas;
+    const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    const strength = new Uint8ClampedArray(width * height);
+
+    if (options.foreground === 'clut') {
+        const palette = analyzePalette(canvas);
+        if (!palette.text) return strength;
+
+        const toPoint = (c) => premultiply(c.r, c.g, c.b, c.a);
+        const text = [toPoint(palette.text)];
+        // Colours that are not text: transparency, the box and, when removed, the outline
+        const other = [[0, 0, 0, 0]];
+        if (palette.box) other.push(toPoint(palette.box));
+        if (palette.outline) (options.removeOutline ? other : text).push(toPoint(palette.outline));
+
+        // Few distinct colours, so each is classified once
+        const byColor = new Map();
+        for (let i = 0; i < width * height; i++) {
+            const key = ((data[i * 4] << 24) | (data[i * 4 + 1] << 16) | (data[i * 4 + 2] << 8) | data[i * 4 + 3]) >>> 0;
+            let value = byColor.get(key);
+            if (value === undefined) {
+                const p = premultiply(data[i * 4], data[i * 4 + 1], data[i * 4 + 2], data[i * 4 + 3]);
+                const toText = Math.min(...text.map(q => distance(p, q)));
+                const toOther = Math.min(...other.map(q => distance(p, q)));
+                // Shades between the text and the rest keep their share, for soft edges
+                value = toText + toOther > 0 ? 255 * toOther / (toText + toOther) : 0;
+                byColor.set(key, value);
+            }
+            strength[i] = value;
+        }
+        return strength;
+    }
+
+    for (let i = 0; i < width * height; i++) {
+        strength[i] = luma(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]) * data[i * 4 + 3] / 255;
+    }
+
+    // Without a palette to tell it apart, the outline is what touches transparency
+    if (options.removeOutline) {
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (touchesTransparency(data, width, height, x, y)) {
+                    strength[y * width + x] = 0;
+                }
+            }
+        }
+    }
+
+    return strength;
+}
+
+/**
+ * Turn a subtitle bitmap into black text on white for Tesseract
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Trimmed bitmap from the decoder
+ * @param {Object} options - See DEFAULT_PREPROCESS
+ * @returns {HTMLCanvasElement|OffscreenCanvas} A new canvas, of the same kind where there's no DOM
+ */
+export function preprocessForOCR(canvas, options = DEFAULT_PREPROCESS) {
+    const { width, height } = canvas;
+    const scale = Math.min(4, Math.max(1, Math.round(options.scale) || 1));
+    const padding = Math.max(0, options.padding || 0);
+
+    // Text dark on light, still at the bitmap size
+    const strength = extractForeground(canvas, options);
+    const source = createCanvas(width, height);
+    const sourceCtx = source.getContext('2d');
+    const image = sourceCtx.createImageData(width, height);
+    for (let i = 0; i < strength.length; i++) {
+        const value = 255 - strength[i];
+        image.data[i * 4] = value;
+        image.data[i * 4 + 1] = value;
+        image.data[i * 4 + 2] = value;
+        image.data[i * 4 + 3] = 255;
+    }
+    sourceCtx.putImageData(image, 0, 0);
+
+    const output = createCanvas(width * scale + padding * 2, height * scale + padding * 2);
+    const ctx = output.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, output.width, output.height);
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, padding, padding, width * scale, height * scale);
+
+    if (options.binarize) {
+        const scaled = ctx.getImageData(0, 0, output.width, output.height);
+        const pixels = scaled.data;
+        for (let i = 0; i < pixels.length; i += 4) {
+            const value = pixels[i] < options.threshold ? 0 : 255;
+            pixels[i] = value;
+            pixels[i + 1] = value;
+            pixels[i + 2] = value;
+        }
+        ctx.putImageData(scaled, 0, 0);
+    }
+
+    return output;
+}
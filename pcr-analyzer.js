@@ -0,0 +1,205 @@
+/**
+ * PCR Accuracy, Jitter and Mux Bitrate Analysis
+ *
+ * For every PID carrying a PCR, keeps a sliding window of
+ * (PCR, byte position, arrival time) samples and derives:
+ * - PCR interval (min/avg/max)
+ * - Mux bitrate: least-squares fit of PCR against byte position
+ * - PCR_AC: each PCR's deviation from that fit, i.e. from where a
+ *   constant-bitrate mux says it should be (TR 101 290 limit ±500 ns)
+ * - PCR_OJ: peak-to-peak deviation of arrival time from PCR time with
+ *   drift removed. Arrival times are per received chunk, so this is the
+ *   overall jitter as seen by this receiver, network included.
+ */
+
+import { TS_PACKET_SIZE, PCR_WRAP, readPCR } from './ts-packet.js';
+
+const PCR_HZ = 27000000;
+
+/**
+ * Least-squares line through (x, y) points
+ * @returns {{slope: number, intercept: number}}
+ */
+function fitLine(xs, ys) {
+    const n = xs.length;
+    let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+
+    for (let i = 0; i < n; i++) {
+        sumX += xs[i];
+        sumY += ys[i];
+        sumXY += xs[i] * ys[i];
+        sumXX += xs[i] * xs[i];
+    }
+
+    const denominator = n * sumXX - sumX * sumX;
+    const slope = denominator !== 0 ? (n * sumXY - sumX * sumY) / denominator : 0;
+
+    return { slope, intercept: (sumY - slope * sumX) / n };
+}
+
+export class PCRAnalyzer {
+    constructor(options = {}) {
+        // Sliding window length in PCR seconds
+        this.windowSeconds = options.windowSeconds || 10;
+        // TR 101 290 PCR_AC limit in nanoseconds
+        this.accuracyLimit = options.accuracyLimit || 500;
+
+        this.reset();
+    }
+
+    reset() {
+        this.packetIndex = 0;
+        // pid -> analysis state
+        this.pids = new Map();
+    }
+
+    /**
+     * @param {Uint8Array} packet - 188-byte packet
+     * @param {number} time - Arrival time (ms, performance.now())
+     */
+    processPacket(packet, time) {
+        const index = this.packetIndex++;
+
+        // Adaptation field present, long enough, PCR_flag set
+        if (!(packet[3] & 0x20) || packet[4] < 7 || !(packet[5] & 0x10)) return;
+
+        const pid = ((packet[1] & 0x1F) << 8) | packet[2];
+        const discontinuity = (packet[5] & 0x80) !== 0;
+
+        this.addSample(pid, readPCR(packet, 6), index, time, discontinuity);
+    }
+
+    addSample(pid, pcr, index, time, discontinuity) {
+        let state = this.pids.get(pid);
+        if (!state) {
+            state = {
+                pid,
+                count: 0,
+                lastPCR: null,
+                unwrapped: 0,
+                samples: [],
+                discontinuities: 0,
+                accuracyErrors: 0,
+                results: null
+            };
+            this.pids.set(pid, state);
+        }
+
+        state.count++;
+
+        if (state.lastPCR !== null) {
+            const delta = (pcr - state.lastPCR + PCR_WRAP) % PCR_WRAP;
+
+            // Signalled discontinuity, or a jump no real PCR spacing explains: start over
+            if (discontinuity || delta > PCR_HZ) {
+                state.discontinuities++;
+                state.samples = [];
+                state.unwrapped = 0;
+            } else {
+                state.unwrapped += delta;
+            }
+        }
+
+        state.lastPCR = pcr;
+        state.samples.push({ pcr: state.unwrapped, index, time });
+
+        const samples = state.samples;
+        while (samples.length > 2 && samples[samples.length - 1].pcr - samples[0].pcr > this.windowSeconds * PCR_HZ) {
+            samples.shift();
+        }
+
+        if (samples.length >= 3) {
+            state.results = this.analyze(state);
+        }
+    }
+
+    analyze(state) {
+        const samples = state.samples;
+        const first = samples[0];
+        const n = samples.length;
+
+        const bytes = new Array(n);
+        const ticks = new Array(n);
+        const pcrMs = new Array(n);
+        const offsets = new Array(n);
+
+        let intervalMin = Infinity, intervalMax = 0;
+
+        for (let i = 0; i < n; i++) {
+            const sample = samples[i];
+            bytes[i] = (sample.index - first.index) * TS_PACKET_SIZE;
+            ticks[i] = sample.pcr - first.pcr;
+            pcrMs[i] = ticks[i] / 27000;
+            offsets[i] = (sample.time - first.time) - pcrMs[i];
+
+            if (i > 0) {
+                const interval = (sample.pcr - samples[i - 1].pcr) / 27000;
+                intervalMin = Math.min(intervalMin, interval);
+                intervalMax = Math.max(intervalMax, interval);
+            }
+        }
+
+        // PCR ticks per byte gives the mux bitrate; the residuals are PCR_AC
+        const rate = fitLine(bytes, ticks);
+        let accuracyMax = 0;
+        let accuracyLast = 0;
+        for (let i = 0; i < n; i++) {
+            const accuracy = ((ticks[i] - (rate.intercept + rate.slope * bytes[i])) / PCR_HZ) * 1e9;
+            accuracyMax = Math.max(accuracyMax, Math.abs(accuracy));
+            accuracyLast = accuracy;
+        }
+        if (Math.abs(accuracyLast) > this.accuracyLimit) {
+            state.accuracyErrors++;
+        }
+
+        // Arrival time against PCR time, drift removed, peak to peak
+        const drift = fitLine(pcrMs, offsets);
+        let jitterMin = Infinity, jitterMax = -Infinity;
+        for (let i = 0; i < n; i++) {
+            const residual = offsets[i] - (drift.intercept + drift.slope * pcrMs[i]);
+            jitterMin = Math.min(jitterMin, residual);
+            jitterMax = Math.max(jitterMax, residual);
+        }
+
+        return {
+            muxBitrate: rate.slope > 0 ? (8 * PCR_HZ) / rate.slope : 0,
+            intervalAvg: pcrMs[n - 1] / (n - 1),
+            intervalMin,
+            intervalMax,
+            accuracyLast,
+            accuracyMax,
+            jitter: jitterMax - jitterMin,
+            // Receiver clock vs PCR clock, in parts per million
+            drift: drift.slope * 1e6
+        };
+    }
+
+    /**
+     * Results per PCR PID
+     */
+    getStats() {
+        return Array.from(this.pids.values())
+            .sort((a, b) => a.pid - b.pid)
+            .map(state => ({
+                pid: state.pid,
+                count: state.count,
+                discontinuities: state.discontinuities,
+                accuracyErrors: state.accuracyErrors,
+                windowSamples: state.samples.length,
+                ...state.results
+            }));
+    }
+
+    /**
+     * Results for the PCR PID with the most samples (the main program's clock)
+     */
+    getPrimary() {
+        let primary = null;
+        for (const state of this.pids.values()) {
+            if (state.results && (!primary || state.count > primary.count)) {
+                primary = state;
+            }
+        }
+        return primary ? { pid: primary.pid, ...primary.results } : null;
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * Per-PID Packet and Bitrate Statistics
+ *
+ * Counts every packet per PID and derives current (last second) and
+ * average bitrates, share of the mux, null packet share and scrambled
+ * packet counts. PIDs are labelled from the PAT/PMT (and the ATSC MGT)
+ * passed to handleTable().
+ */
+
+import { TS_PACKET_SIZE, NULL_PID } from './ts-packet.js';
+
+// PIDs with a fixed meaning (ISO/IEC 13818-1, EN 300 468, ATSC A/65)
+const RESERVED_PIDS = {
+    0x0000: 'PAT',
+    0x0001: 'CAT',
+    0x0010: 'NIT',
+    0x0011: 'SDT/BAT',
+    0x0012: 'EIT',
+    0x0014: 'TDT/TOT',
+    0x1FFB: 'ATSC PSIP',
+    0x1FFF: 'Null'
+};
+
+export class PIDStatsAnalyzer {
+    constructor(options = {}) {
+        // Length of the window the current bitrate is measured over (ms)
+        this.windowLength = options.windowLength || 1000;
+
+        this.reset();
+    }
+
+    reset() {
+        // pid -> { pid, packets, scrambled, windowPackets, bitrate, label, streamType }
+        this.pids = new Map();
+        this.labels = new Map();
+
+        this.totalPackets = 0;
+        this.windowPackets = 0;
+        this.muxBitrate = 0;
+        this.startTime = null;
+        this.windowStart = null;
+        this.lastTime = null;
+    }
+
+    /**
+     * Count one packet
+     * @param {Uint8Array} packet - 188-byte packet
+     * @param {number} time - Arrival time (ms, performance.now())
+     */
+    processPacket(packet, time) {
+        if (this.startTime === null) {
+            this.startTime = time;
+            this.windowStart = time;
+        }
+        this.lastTime = time;
+
+        const pid = ((packet[1] & 0x1F) << 8) | packet[2];
+
+        let entry = this.pids.get(pid);
+        if (!entry) {
+            entry = { pid, packets: 0, scrambled: 0, windowPackets: 0, bitrate: 0 };
+            this.pids.set(pid, entry);
+        }
+
+        entry.packets++;
+        entry.windowPackets++;
+        if (packet[3] & 0xC0) {
+            entry.scrambled++;
+        }
+
+        this.totalPackets++;
+        this.windowPackets++;
+
+        if (time - this.windowStart >= this.windowLength) {
+            this.closeWindow(time);
+        }
+    }
+
+    closeWindow(time) {
+        const seconds = (time - this.windowStart) / 1000;
+        const bitsPerPacket = TS_PACKET_SIZE * 8;
+
+        for (const entry of this.pids.values()) {
+            entry.bitrate = (entry.windowPackets * bitsPerPacket) / seconds;
+            entry.windowPackets = 0;
+        }
+
+        this.muxBitrate = (this.windowPackets * bitsPerPacket) / seconds;
+        this.windowPackets = 0;
+        this.windowStart = time;
+    }
+
+    /**
+     * Label PIDs from PSI tables
+     */
+    handleTable(table) {
+        if (table.type === 'PAT') {
+            for (const program of table.programs) {
+                this.labels.set(program.pmtPID, { label: `PMT (program ${program.programNumber})`, streamType: null });
+            }
+        } else if (table.type === 'PMT') {
+            for (const stream of table.streams) {
+                this.labels.set(stream.pid, {
+                    label: `${stream.streamTypeName} (program ${table.programNumber})`,
+                    streamType: stream.streamType
+                });
+            }
+            if (table.pcrPID !== NULL_PID && !table.streams.some(s => s.pid === table.pcrPID)) {
+                this.labels.set(table.pcrPID, { label: `PCR (program ${table.programNumber})`, streamType: null });
+            }
+        } else if (table.type === 'MGT') {
+            for (const entry of table.tables) {
+                if (entry.pid !== table.pid) {
+                    this.labels.set(entry.pid, { label: `PSIP ${entry.tableTypeName}`, streamType: null });
+                }
+            }
+        }
+    }
+
+    getLabel(pid) {
+        const known = this.labels.get(pid);
+        if (known) return known.label;
+        return RESERVED_PIDS[pid] || 'Unknown';
+    }
+
+    /**
+     * Per-PID breakdown, sorted by PID
+     */
+    getPIDs() {
+        const elapsed = this.lastTime !== null ? (this.lastTime - this.startTime) / 1000 : 0;
+        const bitsPerPacket = TS_PACKET_SIZE * 8;
+
+        return Array.from(this.pids.values())
+            .sort((a, b) => a.pid - b.pid)
+            .map(entry => ({
+                pid: entry.pid,
+                label: this.getLabel(entry.pid),
+                streamType: this.labels.get(entry.pid)?.streamType ?? null,
+                packets: entry.packets,
+                scrambled: entry.scrambled,
+                bitrate: entry.bitrate,
+                averageBitrate: elapsed > 0 ? (entry.packets * bitsPerPacket) / elapsed : 0,
+                share: this.totalPackets > 0 ? (entry.packets / this.totalPackets) * 100 : 0
+            }));
+    }
+
+    getSummary() {
+        const elapsed = this.lastTime !== null ? (this.lastTime - this.startTime) / 1000 : 0;
+        const nullEntry = this.pids.get(NULL_PID);
+        let scrambled = 0;
+        for (const entry of this.pids.values()) {
+            scrambled += entry.scrambled;
+        }
+
+        return {
+            pidCount: this.pids.size,
+            totalPackets: this.totalPackets,
+            muxBitrate: this.muxBitrate,
+            averageBitrate: elapsed > 0 ? (this.totalPackets * TS_PACKET_SIZE * 8) / elapsed : 0,
+            nullShare: nullEntry && this.totalPackets > 0 ? (nullEntry.packets / this.totalPackets) * 100 : 0,
+            scrambledPackets: scrambled
+        };
+    }
+}
@@ -0,0 +1,1049 @@
+/**
+ * MPEG-TS PSI/SI Section Assembler and Table Parser
+ *
+ * Reassembles PSI sections that span TS packets (ISO/IEC 13818-1 2.4.4),
+ * validates their CRC32 and decodes them into typed table objects:
+ * - PAT, PMT, CAT (ISO/IEC 13818-1)
+ * - NIT, SDT, EIT, TDT, TOT (ETSI EN 300 468)
+ * - MGT, TVCT/CVCT, EIT, ETT, STT (ATSC A/65 PSIP)
+ *
+ * Sections are only emitted when their version_number changes, and
+ * sections with current_next_indicator = 0 (not yet applicable) are ignored.
+ */
+
+// Well-known PSI/SI PIDs
+export const PSI_PIDS = {
+    PAT: 0x0000,
+    CAT: 0x0001,
+    NIT: 0x0010,
+    SDT: 0x0011,
+    EIT: 0x0012,
+    TDT: 0x0014,
+    PSIP: 0x1FFB
+};
+
+// Stream types (ISO/IEC 13818-1 Table 2-34 plus common private types)
+export const STREAM_TYPES = {
+    0x01: 'MPEG-1 Video',
+    0x02: 'MPEG-2 Video',
+    0x03: 'MPEG-1 Audio',
+    0x04: 'MPEG-2 Audio',
+    0x05: 'Private Sections',
+    0x06: 'PES Private Data',
+    0x0B: 'DSM-CC',
+    0x0F: 'AAC (ADTS)',
+    0x11: 'AAC (LATM)',
+    0x15: 'ID3 Metadata',
+    0x1B: 'H.264/AVC',
+    0x24: 'H.265/HEVC',
+    0x81: 'AC-3',
+    0x86: 'SCTE-35',
+    0x87: 'E-AC-3',
+    0x90: 'PGS Subtitles',
+    0x91: 'IGS Subtitles'
+};
+
+// DVB service_type (EN 300 468 Table 87)
+const SERVICE_TYPES = {
+    0x01: 'Digital TV',
+    0x02: 'Digital Radio',
+    0x03: 'Teletext',
+    0x0A: 'Advanced Codec Radio',
+    0x0C: 'Data Broadcast',
+    0x11: 'MPEG-2 HD TV',
+    0x16: 'AVC SD TV',
+    0x19: 'AVC HD TV',
+    0x1F: 'HEVC TV'
+};
+
+// running_status (EN 300 468 Table 6)
+const RUNNING_STATUS = ['Undefined', 'Not running', 'Starts in a few seconds', 'Pausing', 'Running', 'Off-air'];
+
+const MAX_SECTION_SIZE = 4096;
+
+// CRC32/MPEG-2 lookup table (polynomial 0x04C11DB7, no reflection)
+const CRC32_TABLE = new Uint32Array(256);
+for (let i = 0; i < 256; i++) {
+    let crc = i << 24;
+    for (let j = 0; j < 8; j++) {
+        crc = (crc & 0x80000000) ? ((crc << 1) ^ 0x04C11DB7) : (crc << 1);
+    }
+    CRC32_TABLE[i] = crc >>> 0;
+}
+
+/**
+ * CRC32/MPEG-2 over a byte range. Running it over a whole section
+ * including its trailing CRC_32 field yields 0 for an intact section.
+ */
+export function crc32(data, start = 0, end = data.length) {
+    let crc = 0xFFFFFFFF;
+    for (let i = start; i < end; i++) {
+        crc = (crc << 8) ^ CRC32_TABLE[((crc >>> 24) ^ data[i]) & 0xFF];
+    }
+    return crc >>> 0;
+}
+
+/**
+ * Reassembles sections from TS packet payloads, per PID
+ */
+export class SectionAssembler {
+    constructor(options = {}) {
+        this.onSection = options.onSection || (() => {});
+        this.onError = options.onError || (() => {});
+
+        this.buffers = new Map();
+    }
+
+    /**
+     * Feed one TS packet payload
+     * @param {number} pid - PID the payload came from
+     * @param {Uint8Array} payload - Packet payload (after adaptation field)
+     * @param {boolean} payloadUnitStart - payload_unit_start_indicator
+     */
+    push(pid, payload, payloadUnitStart) {
+        if (payload.length === 0) return;
+
+        let state = this.buffers.get(pid);
+        if (!state) {
+            state = { data: new Uint8Array(MAX_SECTION_SIZE + 184), length: 0, active: false };
+            this.buffers.set(pid, state);
+        }
+
+        let offset = 0;
+
+        if (payloadUnitStart) {
+            const pointerField = payload[0];
+            offset = 1 + pointerField;
+
+            if (offset > payload.length) {
+                this.onError('pointer_field beyond packet end', { pid });
+                state.length = 0;
+                state.active = false;
+                return;
+            }
+
+            // Bytes before the pointer target finish the section in progress
+            if (state.active && pointerField > 0) {
+                this.append(state, payload.subarray(1, offset));
+                this.drain(pid, state);
+            }
+
+            if (state.length > 0) {
+                this.onError('Section truncated by new payload_unit_start', { pid });
+            }
+
+            state.length = 0;
+            state.active = true;
+        } else if (!state.active) {
+            // Continuation of a section we never saw the start of
+            return;
+        }
+
+        this.append(state, payload.subarray(offset));
+        this.drain(pid, state);
+    }
+
+    append(state, bytes) {
+        const room = state.data.length - state.length;
+        if (bytes.length > room) {
+            state.data.set(bytes.subarray(0, room), state.length);
+            state.length += room;
+        } else {
+            state.data.set(bytes, state.length);
+            state.length += bytes.length;
+        }
+    }
+
+    /**
+     * Emit every complete section in the buffer, keep the remainder
+     */
+    drain(pid, state) {
+        const data = state.data;
+        let pos = 0;
+
+        while (state.length - pos >= 3) {
+            // Stuffing: the rest of this packet is padding
+            if (data[pos] === 0xFF) {
+                state.length = 0;
+                state.active = false;
+                return;
+            }
+
+            const sectionLength = ((data[pos + 1] & 0x0F) << 8) | data[pos + 2];
+            const total = 3 + sectionLength;
+
+            if (total > MAX_SECTION_SIZE) {
+                this.onError(`Invalid section_length ${sectionLength}`, { pid, tableId: data[pos] });
+                state.length = 0;
+                state.active = false;
+                return;
+            }
+
+            if (state.length - pos < total) break;
+
+            this.onSection(pid, data.slice(pos, pos + total));
+            pos += total;
+        }
+
+        if (pos > 0) {
+            data.copyWithin(0, pos, state.length);
+            state.length -= pos;
+        }
+
+        // A new section can only begin where a pointer_field says so
+        if (state.length === 0) {
+            state.active = false;
+        }
+    }
+
+    reset(pid) {
+        if (pid === undefined) {
+            this.buffers.clear();
+        } else {
+            this.buffers.delete(pid);
+        }
+    }
+}
+
+/**
+ * Section assembler plus CRC/version checks and table decoding
+ */
+export class PSIParser {
+    constructor(options = {}) {
+        this.onTable = options.onTable || (() => {});
+        this.onError = options.onError || (() => {});
+        this.onLog = options.onLog || (() => {});
+
+        this.assembler = new SectionAssembler({
+            onSection: (pid, section) => this.handleSection(pid, section),
+            onError: (message, info) => {
+                this.stats.assemblyErrors++;
+                this.onError(message, info);
+            }
+        });
+
+        // `${pid}:${tableId}:${extension}:${sectionNumber}` -> version_number
+        this.versions = new Map();
+
+        // `${pid}:${tableId}:${extension}` of tables already reported as carrying
+        // Huffman-compressed text
+        this.compressedTables = new Set();
+
+        this.stats = {
+            sections: 0,
+            tables: 0,
+            crcErrors: 0,
+            assemblyErrors: 0
+        };
+    }
+
+    push(pid, payload, payloadUnitStart) {
+        this.assembler.push(pid, payload, payloadUnitStart);
+    }
+
+    handleSection(pid, section) {
+        this.stats.sections++;
+
+        const tableId = section[0];
+        const sectionSyntaxIndicator = (section[1] >> 7) & 0x01;
+
+        // TDT is the only table here without a CRC_32
+        const hasCRC = sectionSyntaxIndicator === 1 || tableId === 0x73;
+        if (hasCRC && crc32(section) !== 0) {
+            this.stats.crcErrors++;
+            this.onError('CRC32 mismatch', { pid, tableId });
+            return;
+        }
+
+        if (sectionSyntaxIndicator) {
+            if (section.length < 12) return;
+
+            const header = parseLongHeader(section);
+            if (!header.currentNext) return;
+
+            // The STT keeps version 0 while its time moves on
+            const key = `${pid}:${tableId}:${header.tableIdExtension}:${header.sectionNumber}`;
+            if (tableId !== 0xCD && this.versions.get(key) === header.version) return;
+            this.versions.set(key, header.version);
+        }
+
+        let table;
+        try {
+            table = decodeTable(pid, section);
+        } catch (err) {
+            this.onError('Table decode error: ' + err.message, { pid, tableId });
+            return;
+        }
+
+        if (table) {
+            this.stats.tables++;
+
+            const key = `${pid}:${tableId}:${table.tableIdExtension}`;
+            if (hasCompressedText(table) && !this.compressedTables.has(key)) {
+                this.compressedTables.add(key);
+                this.onLog(`${table.type} on PID ${pid} carries Huffman-compressed text (A/65 Annex C), shown as "(compressed)"`);
+            }
+
+            this.onTable(table);
+        }
+    }
+
+    /**
+     * Forget version history so every table is emitted again
+     */
+    reset() {
+        this.assembler.reset();
+        this.versions.clear();
+        this.compressedTables.clear();
+        this.stats = { sections: 0, tables: 0, crcErrors: 0, assemblyErrors: 0 };
+    }
+}
+
+// ========================
+// Table decoding
+// ========================
+
+function parseLongHeader(section) {
+    return {
+        tableId: section[0],
+        sectionLength: ((section[1] & 0x0F) << 8) | section[2],
+        tableIdExtension: (section[3] << 8) | section[4],
+        version: (section[5] >> 1) & 0x1F,
+        currentNext: (section[5] & 0x01) === 1,
+        sectionNumber: section[6],
+        lastSectionNumber: section[7]
+    };
+}
+
+/**
+ * Decode a complete, CRC-checked section into a typed table object
+ */
+export function decodeTable(pid, section) {
+    const tableId = section[0];
+
+    if (tableId === 0x00) return decodePAT(pid, section);
+    if (tableId === 0x01) return decodeCAT(pid, section);
+    if (tableId === 0x02) return decodePMT(pid, section);
+    if (tableId === 0x40 || tableId === 0x41) return decodeNIT(pid, section);
+    if (tableId === 0x42 || tableId === 0x46) return decodeSDT(pid, section);
+    if (tableId >= 0x4E && tableId <= 0x6F) return decodeEIT(pid, section);
+    if (tableId === 0x70) return decodeTDT(pid, section);
+    if (tableId === 0x73) return decodeTOT(pid, section);
+    if (tableId === 0xC7) return decodeMGT(pid, section);
+    if (tableId === 0xC8 || tableId === 0xC9) return decodeVCT(pid, section);
+    if (tableId === 0xCB) return decodePSIPEIT(pid, section);
+    if (tableId === 0xCC) return decodeETT(pid, section);
+    if (tableId === 0xCD) return decodeSTT(pid, section);
+
+    return null;
+}
+
+function decodePAT(pid, section) {
+    const header = parseLongHeader(section);
+    const end = 3 + header.sectionLength - 4;
+    const programs = [];
+    let networkPID = null;
+
+    for (let offset = 8; offset + 4 <= end; offset += 4) {
+        const programNumber = (section[offset] << 8) | section[offset + 1];
+        const programPID = ((section[offset + 2] & 0x1F) << 8) | section[offset + 3];
+
+        if (programNumber === 0) {
+            networkPID = programPID;
+        } else {
+            programs.push({ programNumber, pmtPID: programPID });
+        }
+    }
+
+    return {
+        type: 'PAT',
+        pid,
+        ...header,
+        transportStreamId: header.tableIdExtension,
+        networkPID,
+        programs
+    };
+}
+
+function decodeCAT(pid, section) {
+    const header = parseLongHeader(section);
+    const end = 3 + header.sectionLength - 4;
+
+    return {
+        type: 'CAT',
+        pid,
+        ...header,
+        descriptors: parseDescriptors(section, 8, end)
+    };
+}
+
+function decodePMT(pid, section) {
+    const header = parseLongHeader(section);
+    const end = 3 + header.sectionLength - 4;
+
+    const pcrPID = ((section[8] & 0x1F) << 8) | section[9];
+    const programInfoLength = ((section[10] & 0x0F) << 8) | section[11];
+    const programDescriptors = parseDescriptors(section, 12, 12 + programInfoLength);
+
+    const streams = [];
+    let offset = 12 + programInfoLength;
+
+    while (offset + 5 <= end) {
+        const streamType = section[offset];
+        const elementaryPID = ((section[offset + 1] & 0x1F) << 8) | section[offset + 2];
+        const esInfoLength = ((section[offset + 3] & 0x0F) << 8) | section[offset + 4];
+
+        streams.push({
+            streamType,
+            streamTypeName: STREAM_TYPES[streamType] || `Unknown (0x${streamType.toString(16)})`,
+            pid: elementaryPID,
+            descriptors: parseDescriptors(section, offset + 5, Math.min(offset + 5 + esInfoLength, end))
+        });
+
+        offset += 5 + esInfoLength;
+    }
+
+    return {
+        type: 'PMT',
+        pid,
+        ...header,
+        programNumber: header.tableIdExtension,
+        pcrPID,
+        descriptors: programDescriptors,
+        streams
+    };
+}
+
+function decodeNIT(pid, section) {
+    const header = parseLongHeader(section);
+    const end = 3 + header.sectionLength - 4;
+
+    const networkDescriptorsLength = ((section[8] & 0x0F) << 8) | section[9];
+    const descriptors = parseDescriptors(section, 10, 10 + networkDescriptorsLength);
+
+    let offset = 10 + networkDescriptorsLength + 2; // Skip transport_stream_loop_length
+    const transportStreams = [];
+
+    while (offset + 6 <= end) {
+        const descLength = ((section[offset + 4] & 0x0F) << 8) | section[offset + 5];
+
+        transportStreams.push({
+            transportStreamId: (section[offset] << 8) | section[offset + 1],
+            originalNetworkId: (section[offset + 2] << 8) | section[offset + 3],
+            descriptors: parseDescriptors(section, offset + 6, Math.min(offset + 6 + descLength, end))
+        });
+
+        offset += 6 + descLength;
+    }
+
+    const nameDescriptor = descriptors.find(d => d.tag === 0x40);
+
+    return {
+        type: 'NIT',
+        pid,
+        ...header,
+        actual: header.tableId === 0x40,
+        networkId: header.tableIdExtension,
+        networkName: nameDescriptor ? nameDescriptor.networkName : null,
+        descriptors,
+        transportStreams
+    };
+}
+
+function decodeSDT(pid, section) {
+    const header = parseLongHeader(section);
+    const end = 3 + header.sectionLength - 4;
+
+    const services = [];
+    let offset = 11;
+
+    while (offset + 5 <= end) {
+        const descLength = ((section[offset + 3] & 0x0F) << 8) | section[offset + 4];
+        const descriptors = parseDescriptors(section, offset + 5, Math.min(offset + 5 + descLength, end));
+        const serviceDescriptor = descriptors.find(d => d.tag === 0x48);
+        const runningStatus = (section[offset + 3] >> 5) & 0x07;
+        const serviceType = serviceDescriptor ? serviceDescriptor.serviceType : null;
+
+        services.push({
+            serviceId: (section[offset] << 8) | section[offset + 1],
+            eitSchedule: ((section[offset + 2] >> 1) & 0x01) === 1,
+            eitPresentFollowing: (section[offset + 2] & 0x01) === 1,
+            runningStatus,
+            runningStatusName: RUNNING_STATUS[runningStatus] || 'Reserved',
+            freeCAMode: ((section[offset + 3] >> 4) & 0x01) === 1,
+            serviceType,
+            serviceTypeName: serviceType === null ? null : (SERVICE_TYPES[serviceType] || `Unknown (0x${serviceType.toString(16)})`),
+            providerName: serviceDescriptor ? serviceDescriptor.providerName : null,
+            serviceName: serviceDescriptor ? serviceDescriptor.serviceName : null,
+            descriptors
+        });
+
+        offset += 5 + descLength;
+    }
+
+    return {
+        type: 'SDT',
+        pid,
+        ...header,
+        actual: header.tableId === 0x42,
+        transportStreamId: header.tableIdExtension,
+        originalNetworkId: (section[8] << 8) | section[9],
+        services
+    };
+}
+
+function decodeEIT(pid, section) {
+    const header = parseLongHeader(section);
+    const end = 3 + header.sectionLength - 4;
+
+    const events = [];
+    let offset = 14;
+
+    while (offset + 12 <= end) {
+        const descLength = ((section[offset + 10] & 0x0F) << 8) | section[offset + 11];
+        const descriptors = parseDescriptors(section, offset + 12, Math.min(offset + 12 + descLength, end));
+        const shortEvent = descriptors.find(d => d.tag === 0x4D);
+        const runningStatus = (section[offset + 10] >> 5) & 0x07;
+
+        events.push({
+            eventId: (section[offset] << 8) | section[offset + 1],
+            startTime: decodeMJDTime(section, offset + 2),
+            duration: decodeBCDDuration(section, offset + 7),
+            runningStatus,
+            runningStatusName: RUNNING_STATUS[runningStatus] || 'Reserved',
+            freeCAMode: ((section[offset + 10] >> 4) & 0x01) === 1,
+            name: shortEvent ? shortEvent.eventName : null,
+            text: shortEvent ? shortEvent.text : null,
+            language: shortEvent ? shortEvent.language : null,
+            descriptors
+        });
+
+        offset += 12 + descLength;
+    }
+
+    const tableId = header.tableId;
+
+    return {
+        type: 'EIT',
+        pid,
+        ...header,
+        actual: tableId === 0x4E || (tableId >= 0x50 && tableId <= 0x5F),
+        presentFollowing: tableId === 0x4E || tableId === 0x4F,
+        serviceId: header.tableIdExtension,
+        transportStreamId: (section[8] << 8) | section[9],
+        originalNetworkId: (section[10] << 8) | section[11],
+        events
+    };
+}
+
+function decodeTDT(pid, section) {
+    return {
+        type: 'TDT',
+        pid,
+        tableId: section[0],
+        utcTime: decodeMJDTime(section, 3)
+    };
+}
+
+function decodeTOT(pid, section) {
+    const descLength = ((section[8] & 0x0F) << 8) | section[9];
+
+    return {
+        type: 'TOT',
+        pid,
+        tableId: section[0],
+        utcTime: decodeMJDTime(section, 3),
+        descriptors: parseDescriptors(section, 10, 10 + descLength)
+    };
+}
+
+// ========================
+// ATSC PSIP (A/65)
+// ========================
+
+// MGT table_type ranges
+export const MGT_TABLE_TYPES = {
+    TVCT: 0x0000,
+    CVCT: 0x0002,
+    CHANNEL_ETT: 0x0004,
+    EIT: 0x0100, // EIT-0 .. EIT-127
+    EVENT_ETT: 0x0200 // ETT-0 .. ETT-127
+};
+
+// VCT service_type
+const ATSC_SERVICE_TYPES = {
+    0x01: 'Analog TV',
+    0x02: 'ATSC Digital TV',
+    0x03: 'ATSC Audio',
+    0x04: 'ATSC Data',
+    0x05: 'ATSC Software Download',
+    0x09: 'ATSC 3.0'
+};
+
+function mgtTableTypeName(tableType) {
+    if (tableType === 0x0000) return 'TVCT';
+    if (tableType === 0x0001) return 'TVCT (next)';
+    if (tableType === 0x0002) return 'CVCT';
+    if (tableType === 0x0003) return 'CVCT (next)';
+    if (tableType === 0x0004) return 'Channel ETT';
+    if (tableType === 0x0005) return 'DCCSCT';
+    if (tableType >= 0x0100 && tableType <= 0x017F) return `EIT-${tableType - 0x0100}`;
+    if (tableType >= 0x0200 && tableType <= 0x027F) return `ETT-${tableType - 0x0200}`;
+    if (tableType >= 0x0301 && tableType <= 0x03FF) return `RRT (region ${tableType - 0x0300})`;
+    if (tableType >= 0x1400 && tableType <= 0x14FF) return `DCCT-${tableType - 0x1400}`;
+    return `Reserved (0x${tableType.toString(16).padStart(4, '0')})`;
+}
+
+function decodeMGT(pid, section) {
+    const header = parseLongHeader(section);
+    const end = 3 + header.sectionLength - 4;
+
+    const tablesDefined = (section[9] << 8) | section[10];
+    const tables = [];
+    let offset = 11;
+
+    for (let i = 0; i < tablesDefined && offset + 11 <= end; i++) {
+        const tableType = (section[offset] << 8) | section[offset + 1];
+        const descLength = ((section[offset + 9] & 0x0F) << 8) | section[offset + 10];
+
+        tables.push({
+            tableType,
+            tableTypeName: mgtTableTypeName(tableType),
+            pid: ((section[offset + 2] & 0x1F) << 8) | section[offset + 3],
+            version: section[offset + 4] & 0x1F,
+            numberBytes: ((section[offset + 5] << 24) | (section[offset + 6] << 16) | (section[offset + 7] << 8) | section[offset + 8]) >>> 0,
+            descriptors: parseDescriptors(section, offset + 11, Math.min(offset + 11 + descLength, end))
+        });
+
+        offset += 11 + descLength;
+    }
+
+    return {
+        type: 'MGT',
+        pid,
+        ...header,
+        protocolVersion: section[8],
+        tables
+    };
+}
+
+function decodeVCT(pid, section) {
+    const header = parseLongHeader(section);
+    const end = 3 + header.sectionLength - 4;
+    const cable = header.tableId === 0xC9;
+
+    const numChannels = section[9];
+    const channels = [];
+    let offset = 10;
+
+    for (let i = 0; i < numChannels && offset + 32 <= end; i++) {
+        // short_name is seven UTF-16 code units
+        let shortName = '';
+        for (let j = 0; j < 14; j += 2) {
+            const code = (section[offset + j] << 8) | section[offset + j + 1];
+            if (code === 0) break;
+            shortName += String.fromCharCode(code);
+        }
+
+        const serviceType = section[offset + 27] & 0x3F;
+        const descLength = ((section[offset + 30] & 0x03) << 8) | section[offset + 31];
+        const descriptors = parseDescriptors(section, offset + 32, Math.min(offset + 32 + descLength, end));
+        const extendedName = descriptors.find(d => d.tag === 0xA0);
+
+        channels.push({
+            shortName: shortName.trim(),
+            longName: extendedName ? extendedName.longName : null,
+            majorChannel: ((section[offset + 14] & 0x0F) << 6) | (section[offset + 15] >> 2),
+            minorChannel: ((section[offset + 15] & 0x03) << 8) | section[offset + 16],
+            modulationMode: section[offset + 17],
+            channelTSID: (section[offset + 22] << 8) | section[offset + 23],
+            programNumber: (section[offset + 24] << 8) | section[offset + 25],
+            etmLocation: section[offset + 26] >> 6,
+            accessControlled: ((section[offset + 26] >> 5) & 0x01) === 1,
+            hidden: ((section[offset + 26] >> 4) & 0x01) === 1,
+            hideGuide: ((section[offset + 26] >> 1) & 0x01) === 1,
+            serviceType,
+            serviceTypeName: ATSC_SERVICE_TYPES[serviceType] || `Unknown (0x${serviceType.toString(16)})`,
+            sourceId: (section[offset + 28] << 8) | section[offset + 29],
+            descriptors
+        });
+
+        offset += 32 + descLength;
+    }
+
+    return {
+        type: 'VCT',
+        pid,
+        ...header,
+        cable,
+        transportStreamId: header.tableIdExtension,
+        protocolVersion: section[8],
+        channels
+    };
+}
+
+function decodePSIPEIT(pid, section) {
+    const header = parseLongHeader(section);
+    const end = 3 + header.sectionLength - 4;
+
+    const numEvents = section[9];
+    const events = [];
+    let offset = 10;
+
+    for (let i = 0; i < numEvents && offset + 10 <= end; i++) {
+        const titleLength = section[offset + 9];
+        const titleEnd = offset + 10 + titleLength;
+        if (titleEnd + 2 > end) break;
+
+        const descLength = ((section[titleEnd] & 0x0F) << 8) | section[titleEnd + 1];
+        const start = ((section[offset + 2] << 24) | (section[offset + 3] << 16) | (section[offset + 4] << 8) | section[offset + 5]) >>> 0;
+        const title = decodeMultipleString(section, offset + 10, titleEnd);
+
+        events.push({
+            eventId: ((section[offset] & 0x3F) << 8) | section[offset + 1],
+            start,
+            // GPS seconds shown as UTC; off by the leap seconds in the STT's GPS_UTC_offset
+            startTime: gpsToDate(start),
+            duration: ((section[offset + 6] & 0x0F) << 16) | (section[offset + 7] << 8) | section[offset + 8],
+            etmLocation: (section[offset + 6] >> 4) & 0x03,
+            title: title.length > 0 ? title[0].text : null,
+            titles: title,
+            descriptors: parseDescriptors(section, titleEnd + 2, Math.min(titleEnd + 2 + descLength, end))
+        });
+
+        offset = titleEnd + 2 + descLength;
+    }
+
+    return {
+        type: 'PSIP EIT',
+        pid,
+        ...header,
+        sourceId: header.tableIdExtension,
+        protocolVersion: section[8],
+        events
+    };
+}
+
+function decodeETT(pid, section) {
+    const header = parseLongHeader(section);
+    const end = 3 + header.sectionLength - 4;
+
+    // ETM_id: source_id, then event_id << 2 | 0x2 for events or 0 for the channel
+    const etmId = ((section[9] << 24) | (section[10] << 16) | (section[11] << 8) | section[12]) >>> 0;
+    const message = decodeMultipleString(section, 13, end);
+
+    return {
+        type: 'ETT',
+        pid,
+        ...header,
+        protocolVersion: section[8],
+        etmId,
+        sourceId: etmId >>> 16,
+        eventId: (etmId & 0x03) === 0x02 ? (etmId >> 2) & 0x3FFF : null,
+        text: message.length > 0 ? message[0].text : null,
+        texts: message
+    };
+}
+
+function decodeSTT(pid, section) {
+    const header = parseLongHeader(section);
+    const end = 3 + header.sectionLength - 4;
+
+    const systemTime = ((section[9] << 24) | (section[10] << 16) | (section[11] << 8) | section[12]) >>> 0;
+    const gpsUtcOffset = section[13];
+
+    return {
+        type: 'STT',
+        pid,
+        tableId: header.tableId,
+        protocolVersion: section[8],
+        systemTime,
+        gpsUtcOffset,
+        utcTime: gpsToDate(systemTime, gpsUtcOffset),
+        daylightSaving: {
+            inEffect: (section[14] & 0x80) !== 0,
+            dayOfMonth: section[14] & 0x1F,
+            hour: section[15]
+        },
+        descriptors: parseDescriptors(section, 16, end)
+    };
+}
+
+function hasCompressedText(table) {
+    const strings = table.texts || (table.events || []).flatMap(event => event.titles || []);
+    return strings.some(string => string.compressed);
+}
+
+/**
+ * Decode an ATSC multiple_string_structure (A/65 6.10)
+ * @returns {Array<{language: string, text: string, compressed: boolean}>}
+ */
+export function decodeMultipleString(data, start, end) {
+    const strings = [];
+    if (start >= end) return strings;
+
+    const numberStrings = data[start];
+    let offset = start + 1;
+
+    for (let i = 0; i < numberStrings && offset + 4 <= end; i++) {
+        const language = String.fromCharCode(data[offset], data[offset + 1], data[offset + 2]);
+        const numberSegments = data[offset + 3];
+        offset += 4;
+
+        let text = '';
+        let compressed = false;
+        for (let j = 0; j < numberSegments && offset + 3 <= end; j++) {
+            const compression = data[offset];
+            const mode = data[offset + 1];
+            const numberBytes = data[offset + 2];
+            const bytes = data.subarray(offset + 3, Math.min(offset + 3 + numberBytes, end));
+            offset += 3 + numberBytes;
+
+            // Huffman-compressed segments (A/65 Annex C) are not decoded; leave a
+            // placeholder so the gap shows
+            if (compression !== 0) {
+                if (!compressed) text += ' (compressed) ';
+                compressed = true;
+                continue;
+            }
+
+            if (mode === 0x3F) {
+                // UTF-16
+                for (let k = 0; k + 1 < bytes.length; k += 2) {
+                    text += String.fromCharCode((bytes[k] << 8) | bytes[k + 1]);
+                }
+            } else if (mode <= 0x33) {
+                // The mode is the upper byte of a Unicode page (0x00: Latin-1). Not
+                // TextDecoder: browsers read 'iso-8859-1' as windows-1252.
+                text += Array.from(bytes, b => String.fromCharCode((mode << 8) | b)).join('');
+            }
+        }
+
+        strings.push({ language, text: text.replace(/\s+/g, ' ').trim(), compressed });
+    }
+
+    return strings;
+}
+
+// ========================
+// Descriptors
+// ========================
+
+/**
+ * Parse a descriptor loop, decoding the descriptors we know about
+ */
+export function parseDescriptors(data, start, end) {
+    const descriptors = [];
+    let offset = start;
+
+    while (offset + 2 <= end) {
+        const tag = data[offset];
+        const length = data[offset + 1];
+        const body = data.subarray(offset + 2, Math.min(offset + 2 + length, end));
+
+        descriptors.push(decodeDescriptor(tag, body));
+        offset += 2 + length;
+    }
+
+    return descriptors;
+}
+
+function decodeDescriptor(tag, body) {
+    const descriptor = { tag, length: body.length };
+
+    switch (tag) {
+        case 0x05: // Registration
+            descriptor.name = 'registration';
+            descriptor.formatIdentifier = String.fromCharCode(...body.subarray(0, 4));
+            break;
+
+        case 0x09: // Conditional access
+            descriptor.name = 'CA';
+            descriptor.caSystemId = (body[0] << 8) | body[1];
+            descriptor.caPID = ((body[2] & 0x1F) << 8) | body[3];
+            break;
+
+        case 0x0A: // ISO 639 language
+            descriptor.name = 'ISO_639_language';
+            descriptor.languages = [];
+            for (let i = 0; i + 4 <= body.length; i += 4) {
+                descriptor.languages.push({
+                    language: String.fromCharCode(body[i], body[i + 1], body[i + 2]),
+                    audioType: body[i + 3]
+                });
+            }
+            break;
+
+        case 0x40: // Network name
+            descriptor.name = 'network_name';
+            descriptor.networkName = decodeDVBString(body);
+            break;
+
+        case 0x48: { // Service
+            descriptor.name = 'service';
+            descriptor.serviceType = body[0];
+            const providerLength = body[1];
+            descriptor.providerName = decodeDVBString(body.subarray(2, 2 + providerLength));
+            const nameLength = body[2 + providerLength];
+            descriptor.serviceName = decodeDVBString(body.subarray(3 + providerLength, 3 + providerLength + nameLength));
+            break;
+        }
+
+        case 0x4D: { // Short event
+            descriptor.name = 'short_event';
+            descriptor.language = String.fromCharCode(body[0], body[1], body[2]);
+            const nameLength = body[3];
+            descriptor.eventName = decodeDVBString(body.subarray(4, 4 + nameLength));
+            const textLength = body[4 + nameLength];
+            descriptor.text = decodeDVBString(body.subarray(5 + nameLength, 5 + nameLength + textLength));
+            break;
+        }
+
+        case 0x52: // Stream identifier
+            descriptor.name = 'stream_identifier';
+            descriptor.componentTag = body[0];
+            break;
+
+        case 0x56: // Teletext
+            descriptor.name = 'teletext';
+            descriptor.entries = [];
+            for (let i = 0; i + 5 <= body.length; i += 5) {
+                const magazine = body[i + 3] & 0x07;
+                descriptor.entries.push({
+                    language: String.fromCharCode(body[i], body[i + 1], body[i + 2]),
+                    teletextType: body[i + 3] >> 3,
+                    magazine: magazine === 0 ? 8 : magazine,
+                    page: body[i + 4]
+                });
+            }
+            break;
+
+        case 0x59: // Subtitling
+            descriptor.name = 'subtitling';
+            descriptor.entries = [];
+            for (let i = 0; i + 8 <= body.length; i += 8) {
+                descriptor.entries.push({
+                    language: String.fromCharCode(body[i], body[i + 1], body[i + 2]),
+                    subtitlingType: body[i + 3],
+                    compositionPageId: (body[i + 4] << 8) | body[i + 5],
+                    ancillaryPageId: (body[i + 6] << 8) | body[i + 7]
+                });
+            }
+            break;
+
+        case 0x6A:
+            descriptor.name = 'AC-3';
+            break;
+
+        case 0x7A:
+            descriptor.name = 'enhanced_AC-3';
+            break;
+
+        case 0xA0: // ATSC extended channel name
+            descriptor.name = 'extended_channel_name';
+            descriptor.longName = decodeMultipleString(body, 0, body.length)[0]?.text || null;
+            break;
+
+        default:
+            descriptor.raw = Array.from(body.subarray(0, 32), b => b.toString(16).padStart(2, '0')).join(' ');
+            break;
+    }
+
+    return descriptor;
+}
+
+/**
+ * Decode a DVB text field (EN 300 468 Annex A)
+ */
+export function decodeDVBString(bytes) {
+    if (!bytes || bytes.length === 0) return '';
+
+    let encoding = 'iso-8859-1'; // Close enough to the default ISO/IEC 6937 for display
+    let start = 0;
+    const first = bytes[0];
+
+    if (first >= 0x01 && first <= 0x0B) {
+        encoding = `iso-8859-${first + 4}`;
+        start = 1;
+    } else if (first === 0x10 && bytes.length >= 3) {
+        encoding = `iso-8859-${bytes[2]}`;
+        start = 3;
+    } else if (first === 0x11) {
+        encoding = 'utf-16be';
+        start = 1;
+    } else if (first === 0x15) {
+        encoding = 'utf-8';
+        start = 1;
+    } else if (first < 0x20) {
+        start = 1;
+    }
+
+    const body = bytes.subarray(start);
+    let text;
+    if (encoding === 'utf-16be') {
+        text = '';
+        for (let i = 0; i + 1 < body.length; i += 2) {
+            text += String.fromCharCode((body[i] << 8) | body[i + 1]);
+        }
+    } else if (encoding === 'utf-8') {
+        text = new TextDecoder('utf-8').decode(body);
+    } else {
+        // Control codes (emphasis on/off 0x86/0x87, CR/LF 0x8A) go before decoding:
+        // browsers read ISO 8859-1, -9 and -11 as their Windows supersets, which
+        // put printable characters at 0x80-0x9F
+        const printable = [];
+        for (const byte of body) {
+            if (byte === 0x8A) printable.push(0x20);
+            else if (byte < 0x80 || byte > 0x9F) printable.push(byte);
+        }
+        try {
+            text = new TextDecoder(encoding).decode(Uint8Array.from(printable));
+        } catch (err) {
+            text = String.fromCharCode(...printable);
+        }
+    }
+
+    // In the two-byte encodings the control codes are U+E080-U+E09F (CR/LF U+E08A)
+    return text.replace(/\uE08A/g, ' ').replace(/[\uE080-\uE09F]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// ========================
+// Time fields
+// ========================
+
+function bcd(byte) {
+    return (byte >> 4) * 10 + (byte & 0x0F);
+}
+
+/**
+ * Decode a 40-bit MJD + BCD UTC time (EN 300 468 Annex C)
+ * @returns {Date|null}
+ */
+export function decodeMJDTime(data, offset) {
+    if (data[offset] === 0xFF && data[offset + 1] === 0xFF) return null;
+
+    const mjd = (data[offset] << 8) | data[offset + 1];
+    const ms = ((bcd(data[offset + 2]) * 60 + bcd(data[offset + 3])) * 60 + bcd(data[offset + 4])) * 1000;
+
+    // MJD 40587 = 1970-01-01
+    return new Date((mjd - 40587) * 86400000 + ms);
+}
+
+/**
+ * Decode a 24-bit BCD hhmmss duration into seconds
+ */
+export function decodeBCDDuration(data, offset) {
+    return (bcd(data[offset]) * 60 + bcd(data[offset + 1])) * 60 + bcd(data[offset + 2]);
+}
+
+// GPS epoch 1980-01-06T00:00:00Z in Unix milliseconds
+const GPS_EPOCH = 315964800000;
+
+/**
+ * Convert ATSC GPS seconds to a UTC Date
+ * @param {number} seconds - Seconds since the GPS epoch
+ * @param {number} gpsUtcOffset - Leap seconds from the STT
+ */
+export function gpsToDate(seconds, gpsUtcOffset = 0) {
+    return new Date(GPS_EPOCH + (seconds - gpsUtcOffset) * 1000);
+}
@@ -0,0 +1,164 @@
+/**
+ * ATSC PSIP Channel and Program Guide
+ *
+ * Collects the PSIP tables decoded by psi.js (ATSC A/65) into what the UI
+ * needs: virtual channel numbers and names from the TVCT/CVCT, the event
+ * on air from the EIT with its description from the ETT, and broadcast
+ * time from the STT.
+ *
+ * EIT start times and the STT system_time are both GPS seconds, so the
+ * event on air is found without applying the GPS-UTC leap second offset.
+ */
+
+import { gpsToDate } from './psi.js';
+
+export class PSIPGuide {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.mgt = null;
+        this.stt = null;
+        this.transportStreamId = null;
+        // source_id -> VCT channel
+        this.channels = new Map();
+        // source_id -> Map(event_id -> event)
+        this.events = new Map();
+        // ETM_id -> extended text
+        this.texts = new Map();
+    }
+
+    handleTable(table) {
+        switch (table.type) {
+            case 'MGT':
+                this.mgt = table;
+                break;
+
+            case 'VCT':
+                this.transportStreamId = table.transportStreamId;
+                for (const channel of table.channels) {
+                    this.channels.set(channel.sourceId, channel);
+                }
+                break;
+
+            case 'PSIP EIT': {
+                let events = this.events.get(table.sourceId);
+                if (!events) {
+                    events = new Map();
+                    this.events.set(table.sourceId, events);
+                }
+                for (const event of table.events) {
+                    events.set(event.eventId, event);
+                }
+                this.dropEnded(table.sourceId, events);
+                break;
+            }
+
+            case 'ETT':
+                this.texts.set(table.etmId, table.text);
+                break;
+
+            case 'STT':
+                this.stt = table;
+                break;
+        }
+    }
+
+    /**
+     * Forget events that finished before the current system time
+     */
+    dropEnded(sourceId, events) {
+        const now = this.getSystemTime();
+        if (now === null) return;
+
+        for (const [eventId, event] of events) {
+            if (event.start + event.duration <= now) {
+                events.delete(eventId);
+                this.texts.delete(this.eventETMId(sourceId, eventId));
+            }
+        }
+    }
+
+    eventETMId(sourceId, eventId) {
+        return ((sourceId << 16) | (eventId << 2) | 0x02) >>> 0;
+    }
+
+    /**
+     * Current GPS time from the STT, or null before one has arrived
+     */
+    getSystemTime() {
+        return this.stt ? this.stt.systemTime : null;
+    }
+
+    /**
+     * Broadcast UTC time from the STT
+     * @returns {Date|null}
+     */
+    getUTCTime() {
+        return this.stt ? this.stt.utcTime : null;
+    }
+
+    /**
+     * Virtual channel carrying a program of this transport stream
+     */
+    getChannel(programNumber) {
+        let match = null;
+        for (const channel of this.channels.values()) {
+            if (channel.programNumber !== programNumber) continue;
+            if (channel.channelTSID === this.transportStreamId) return channel;
+            match = match || channel;
+        }
+        return match;
+    }
+
+    /**
+     * Events of a channel, in start order, with their ETT descriptions
+     * @param {number} sourceId
+     */
+    getEvents(sourceId) {
+        const events = this.events.get(sourceId);
+        if (!events) return [];
+
+        const offset = this.stt ? this.stt.gpsUtcOffset : 0;
+
+        return Array.from(events.values())
+            .sort((a, b) => a.start - b.start)
+            .map(event => ({
+                ...event,
+                startTime: gpsToDate(event.start, offset),
+                endTime: gpsToDate(event.start + event.duration, offset),
+                description: this.texts.get(this.eventETMId(sourceId, event.eventId)) || null
+            }));
+    }
+
+    /**
+     * The event on air and the one after it
+     * @returns {{present: Object|null, following: Object|null}}
+     */
+    getNowNext(sourceId) {
+        const now = this.getSystemTime();
+        const events = this.getEvents(sourceId);
+        if (now === null) return { present: null, following: null };
+
+        const index = events.findIndex(event => event.start <= now && now < event.start + event.duration);
+        if (index >= 0) {
+            return { present: events[index], following: events[index + 1] || null };
+        }
+        return { present: null, following: events.find(event => event.start > now) || null };
+    }
+
+    /**
+     * Channels in channel-number order with their current event
+     */
+    getChannels() {
+        return Array.from(this.channels.values())
+            .sort((a, b) => a.majorChannel - b.majorChannel || a.minorChannel - b.minorChannel)
+            .map(channel => ({
+                ...channel,
+                number: `${channel.majorChannel}.${channel.minorChannel}`,
+                description: this.texts.get((channel.sourceId << 16) >>> 0) || null,
+                present: this.getNowNext(channel.sourceId).present
+            }));
+    }
+}
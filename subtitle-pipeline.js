@@ -0,0 +1,576 @@
+/**
+ * Subtitle Extraction Pipeline
+ *
+ * Demuxes the raw TS and decodes DVB-SUB bitmaps, CEA-608/708 captions
+ * and teletext off the UI thread. SubtitlePipeline owns the extractor and
+ * decoders and talks only through messages; SubtitlePipelineClient runs
+ * it in subtitle-worker.js when module workers and OffscreenCanvas are
+ * available, and on the main thread otherwise (older webOS).
+ *
+ * Posted back are PSI tables, program and subtitle stream lists, the
+ * active program's video and PCR PIDs, finished bitmaps and page clears,
+ * text cues and periodic stats - never PES data.
+ *
+ * The stream itself is still fetched once by the shared TSIngest on the
+ * main thread: the player reads the same connection, and a second request
+ * would take a second tuner. Chunks are copied over to the worker.
+ *
+ * OCR stays on the main thread, where Tesseract.js runs its own workers.
+ * Each bitmap is posted with a copy preprocessed for it (ocr-preprocess.js),
+ * made here so the main thread only hands it over.
+ */
+
+import { DVBSubDecoder, TSSubtitleExtractor } from './dvbsub.js';
+import { CaptionDecoder } from './captions.js';
+import { TeletextDecoder } from './teletext.js';
+import { DEFAULT_PREPROCESS, preprocessForOCR } from './ocr-preprocess.js';
+
+// Minimum time between stats messages while data flows (ms)
+const STATS_INTERVAL = 500;
+
+// Commands that set decoding state rather than act once
+const STATE_COMMANDS = new Set(['selectProgram', 'setDVBSub', 'setCaptions', 'setTeletext', 'selectTeletextPage', 'selectDVBSubPage', 'setPreprocess']);
+
+/**
+ * DVB-SUB services of a subtitle stream list: one per subtitling descriptor
+ * entry, as a PID can carry several languages on composition pages of
+ * their own. page is null for a PID without entries (every page decoded).
+ * @returns {Array<{pid: number, page: ?number, ancillaryPage: ?number, language: ?string}>}
+ */
+export function dvbSubServices(streams) {
+    return streams.filter(s => s.format === 'dvb-sub').flatMap(stream => stream.pages.length > 0
+        ? stream.pages.map(entry => ({ pid: stream.pid, page: entry.compositionPageId, ancillaryPage: entry.ancillaryPageId, language: entry.language }))
+        : [{ pid: stream.pid, page: null, ancillaryPage: null, language: stream.language || null }]);
+}
+
+export class SubtitlePipeline {
+    /**
+     * @param {function(Object, Transferable[]=)} post - Sends a message to the client
+     */
+    constructor(post) {
+        this.post = post;
+        this.dvbSubEnabled = false;
+        this.teletextEnabled = false;
+        this.lastStats = 0;
+        // OCR preprocessing settings for the bitmaps posted
+        this.preprocess = { ...DEFAULT_PREPROCESS };
+
+        // Callback posting log messages from one source
+        this.log = (source, level) => (message) => this.post({ type: 'log', source, message, level });
+
+        // DVB-SUB decoder per service (`${pid}:${page}`), as each has its own pages, regions and CLUTs
+        this.dvbSubDecoders = new Map();
+        // DVB-SUB service chosen (pid null = automatic; page null = the PID's first) and the
+        // one decoded: the client shows one page at a time
+        this.dvbSubPID = null;
+        this.dvbSubPage = null;
+        this.activeDVBSub = null;
+        // Latest DVB-SUB PES PTS, where the page of a stream switched away from ends
+        this.lastDVBSubPTS = null;
+        // Teletext PID decoded: the one whose descriptor lists the page, as
+        // each PID carries its own magazines and page numbers
+        this.activeTeletextPID = null;
+
+        this.captionDecoder = new CaptionDecoder({
+            onCue: (cue) => this.post({ type: 'cue', cue }),
+            onDisplay: (text) => this.post({ type: 'display', text }),
+            onLog: this.log('captions', 'info')
+        });
+
+        this.teletextDecoder = new TeletextDecoder({
+            onCue: (cue) => this.post({ type: 'cue', cue }),
+            onDisplay: (text) => this.post({ type: 'display', text }),
+            onLog: this.log('teletext', 'info')
+        });
+
+        this.extractor = new TSSubtitleExtractor({
+            onPES: (pes) => {
+                this.lastDVBSubPTS = pes.pts;
+                if (this.dvbSubEnabled && this.activeDVBSub && pes.pid === this.activeDVBSub.pid) {
+                    this.getDVBSubDecoder(this.activeDVBSub).decode(pes.data, pes.pts);
+                }
+            },
+            onTeletextPES: (pes) => {
+                if (this.teletextEnabled && pes.pid === this.activeTeletextPID) {
+                    this.teletextDecoder.decode(pes.data, pes.pts);
+                }
+            },
+            onVideoPES: (pes) => this.captionDecoder.decode(pes.data, pes.pts, pes.streamType),
+            onPMT: (streams) => {
+                this.teletextDecoder.setDescriptorPages(streams.filter(s => s.format === 'teletext').flatMap(s => s.pages));
+                this.updateDVBSubService();
+                this.updateTeletextPID();
+                this.post({ type: 'pmt', streams });
+            },
+            onTable: (table) => this.post({ type: 'table', table }),
+            onPrograms: (programs) => this.post({ type: 'programs', programs }),
+            onClockPIDs: (videoPID, pcrPID) => this.post({ type: 'clockPIDs', videoPID, pcrPID }),
+            onLog: this.log('ts-extractor', 'info')
+        });
+    }
+
+    getDVBSubDecoder(service) {
+        const key = `${service.pid}:${service.page}`;
+        let decoder = this.dvbSubDecoders.get(key);
+        if (!decoder) {
+            // Renders only; the client's decoder counts, dedupes and OCRs the bitmaps
+            decoder = new DVBSubDecoder({
+                ocrEnabled: false,
+                dedupe: false,
+                compositionPageId: service.page,
+                ancillaryPageId: service.ancillaryPage,
+                onBitmap: (bitmap) => this.postBitmap(bitmap, service),
+                onClear: (clear) => this.post({ type: 'clear', pts: clear.pts, pid: service.pid }),
+                onError: this.log('dvb-error', 'error'),
+                onLog: this.log('dvb-sub', 'info')
+            });
+            this.dvbSubDecoders.set(key, decoder);
+        }
+        return decoder;
+    }
+
+    /**
+     * DVB-SUB services of the active program
+     */
+    getDVBSubServices() {
+        const program = this.extractor.getActiveProgram();
+        return program ? dvbSubServices(program.subtitleStreams) : [];
+    }
+
+    /**
+     * Decode the chosen DVB-SUB service if the active program has it,
+     * otherwise its first. The page of the service left is cleared and its
+     * decoder reset, as its pages and CLUTs go stale while not decoded.
+     */
+    updateDVBSubService() {
+        const services = this.getDVBSubServices();
+        const service = services.find(s => s.pid === this.dvbSubPID && (this.dvbSubPage === null || s.page === this.dvbSubPage))
+            || services[0]
+            || null;
+
+        const previous = this.activeDVBSub;
+        if (service && previous && service.pid === previous.pid && service.page === previous.page) return;
+        if (service === null && previous === null) return;
+
+        if (previous !== null) {
+            if (this.lastDVBSubPTS !== null) {
+                this.post({ type: 'clear', pts: this.lastDVBSubPTS, pid: previous.pid });
+            }
+            this.dvbSubDecoders.get(`${previous.pid}:${previous.page}`)?.reset();
+        }
+
+        this.activeDVBSub = service;
+        if (service !== null && services.length > 1) {
+            const page = service.page !== null ? ` page ${service.page}` : '';
+            this.log('dvb-sub', 'info')(`Decoding DVB-SUB PID ${service.pid}${page}${service.language ? ` (${service.language})` : ''}`);
+        }
+    }
+
+    /**
+     * Decode the teletext PID whose descriptor lists the page being decoded,
+     * else stay on the current one if the program still has it, else take
+     * its first. The decoder starts over on a new PID, as magazines and
+     * pages don't carry across.
+     */
+    updateTeletextPID() {
+        const program = this.extractor.getActiveProgram();
+        const streams = program ? program.subtitleStreams.filter(s => s.format === 'teletext') : [];
+        const page = this.teletextDecoder.getActivePage();
+        const stream = streams.find(s => s.pages.some(entry => entry.page === page))
+            || streams.find(s => s.pid === this.activeTeletextPID)
+            || streams[0];
+        const pid = stream ? stream.pid : null;
+        if (pid === this.activeTeletextPID) return;
+
+        if (this.activeTeletextPID !== null) {
+            this.teletextDecoder.flush();
+            this.teletextDecoder.reset();
+        }
+
+        this.activeTeletextPID = pid;
+        if (pid !== null && streams.length > 1) {
+            this.log('teletext', 'info')(`Decoding teletext PID ${pid}`);
+        }
+    }
+
+    /**
+     * Language to OCR a DVB-SUB service in, when the program has subtitles
+     * in more than one (null: the client's OCR language)
+     */
+    subtitleLanguage(service) {
+        const languages = new Set(this.getDVBSubServices().map(s => s.language).filter(Boolean));
+        return languages.size < 2 ? null : service.language;
+    }
+
+    postBitmap(bitmap, service) {
+        const message = {
+            type: 'bitmap',
+            pid: service.pid,
+            page: service.page,
+            language: this.subtitleLanguage(service),
+            pts: bitmap.pts,
+            timeout: bitmap.timeout,
+            width: bitmap.width,
+            height: bitmap.height,
+            x: bitmap.x,
+            y: bitmap.y,
+            displayWidth: bitmap.displayWidth,
+            displayHeight: bitmap.displayHeight
+        };
+
+        const ocrCanvas = this.preprocess.enabled ? preprocessForOCR(bitmap.canvas, this.preprocess) : null;
+
+        if (typeof bitmap.canvas.transferToImageBitmap === 'function') {
+            // OffscreenCanvas: hand the pixels over without copying
+            message.image = bitmap.canvas.transferToImageBitmap();
+            const transfer = [message.image];
+            if (ocrCanvas) {
+                message.ocrImage = ocrCanvas.transferToImageBitmap();
+                transfer.push(message.ocrImage);
+            }
+            this.post(message, transfer);
+        } else {
+            message.canvas = bitmap.canvas;
+            message.ocrCanvas = ocrCanvas;
+            this.post(message);
+        }
+    }
+
+    /**
+     * Handle one command from the client
+     */
+    handle(message) {
+        switch (message.type) {
+            case 'data':
+                this.extractor.parse(message.chunk);
+                if (Date.now() - this.lastStats < STATS_INTERVAL) return;
+                break;
+
+            case 'reset':
+                this.extractor.reset();
+                this.resetDecoders();
+                this.dvbSubDecoders.clear();
+                this.activeDVBSub = null;
+                this.lastDVBSubPTS = null;
+                this.activeTeletextPID = null;
+                break;
+
+            case 'resetDecoders':
+                this.resetDecoders();
+                break;
+
+            case 'selectProgram':
+                this.extractor.selectProgram(message.program);
+                break;
+
+            case 'setDVBSub':
+                this.dvbSubEnabled = message.enabled;
+                break;
+
+            case 'setTeletext':
+                this.teletextEnabled = message.enabled;
+                if (!message.enabled) {
+                    this.teletextDecoder.flush();
+                }
+                break;
+
+            case 'setCaptions':
+                if (message.channel === 'off') {
+                    this.extractor.setCaptionsEnabled(false);
+                    this.captionDecoder.flush();
+                } else {
+                    this.captionDecoder.setChannel(message.channel);
+                    this.extractor.setCaptionsEnabled(true);
+                }
+                break;
+
+            case 'selectTeletextPage':
+                this.teletextDecoder.selectPage(message.page);
+                this.updateTeletextPID();
+                break;
+
+            case 'selectDVBSubPage':
+                this.dvbSubPID = message.pid;
+                this.dvbSubPage = message.page;
+                this.updateDVBSubService();
+                break;
+
+            case 'setPreprocess':
+                this.preprocess = { ...DEFAULT_PREPROCESS, ...message.settings };
+                break;
+        }
+
+        this.postStats();
+    }
+
+    resetDecoders() {
+        this.dvbSubDecoders.forEach(decoder => decoder.reset());
+        this.captionDecoder.reset();
+        this.teletextDecoder.reset();
+    }
+
+    postStats() {
+        // DVB-SUB counters summed over the services
+        const dvbSub = {};
+        this.dvbSubDecoders.forEach(decoder => {
+            Object.entries(decoder.stats).forEach(([key, value]) => {
+                dvbSub[key] = (dvbSub[key] || 0) + value;
+            });
+        });
+
+        this.lastStats = Date.now();
+        this.post({
+            type: 'stats',
+            stats: {
+                sync: this.extractor.getSyncStats(),
+                psi: { ...this.extractor.psi.stats },
+                selectedProgram: this.extractor.selectedProgram,
+                videoPID: this.extractor.videoPID,
+                videoStreamType: this.extractor.videoStreamType,
+                dvbSub,
+                captions: this.captionDecoder.getStats(),
+                teletext: this.teletextDecoder.getStats(),
+                teletextPage: this.teletextDecoder.page,
+                activeTeletextPID: this.activeTeletextPID,
+                dvbSubPID: this.dvbSubPID,
+                dvbSubPage: this.dvbSubPage,
+                activeDVBSubPID: this.activeDVBSub ? this.activeDVBSub.pid : null,
+                activeDVBSubPage: this.activeDVBSub ? this.activeDVBSub.page : null
+            }
+        });
+    }
+}
+
+/**
+ * Main thread side of the pipeline. Mirrors the pipeline's commands as
+ * methods and its last stats in `stats` (null until the first arrive).
+ */
+export class SubtitlePipelineClient {
+    constructor(options = {}) {
+        this.onTable = options.onTable || (() => {});
+        this.onPMT = options.onPMT || (() => {});
+        this.onPrograms = options.onPrograms || (() => {});
+        this.onClockPIDs = options.onClockPIDs || (() => {});
+        this.onBitmap = options.onBitmap || (() => {});
+        this.onClear = options.onClear || (() => {});
+        this.onCue = options.onCue || (() => {});
+        this.onDisplay = options.onDisplay || (() => {});
+        this.onLog = options.onLog || ((source, message) => console.log(source, message));
+
+        this.stats = null;
+        // Kept here as well so the UI reflects a selection before the next stats
+        this.selectedProgram = options.program ?? null;
+        this.teletextPage = null;
+        this.dvbSubPID = null;
+        this.dvbSubPage = null;
+
+        // Last state command of each type, to set up a pipeline started over on the main thread
+        this.commands = new Map();
+
+        this.worker = null;
+        this.pipeline = null;
+
+        if (options.useWorker !== false && typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined') {
+            this.startWorker();
+        } else {
+            this.startInline();
+        }
+
+        if (this.selectedProgram !== null) {
+            this.selectProgram(this.selectedProgram);
+        }
+    }
+
+    startWorker() {
+        try {
+            this.worker = new Worker(new URL('./subtitle-worker.js', import.meta.url), { type: 'module' });
+        } catch (err) {
+            this.onLog('subtitle-worker', `Worker unavailable (${err.message}), decoding on the main thread`, 'info');
+            this.startInline();
+            return;
+        }
+
+        this.worker.onmessage = (event) => this.receive(event.data);
+        this.worker.onerror = (event) => {
+            // Module workers fail at load on browsers without support for them
+            event.preventDefault();
+            this.onLog('subtitle-worker', `Worker failed (${event.message || 'load error'}), decoding on the main thread`, 'error');
+            this.worker.terminate();
+            this.worker = null;
+            this.startInline();
+        };
+        this.onLog('subtitle-worker', 'Demux and subtitle decoding running in a Web Worker', 'info');
+    }
+
+    startInline() {
+        this.pipeline = new SubtitlePipeline((message) => this.receive(message));
+        // A worker that failed may already have been told the program, captions and so on
+        this.commands.forEach(message => this.pipeline.handle(message));
+    }
+
+    send(message, transfer) {
+        if (STATE_COMMANDS.has(message.type)) {
+            this.commands.set(message.type, message);
+        }
+
+        if (this.worker) {
+            this.worker.postMessage(message, transfer || []);
+        } else if (this.pipeline) {
+            this.pipeline.handle(message);
+        }
+    }
+
+    receive(message) {
+        switch (message.type) {
+            case 'table':
+                this.onTable(message.table);
+                break;
+
+            case 'pmt':
+                this.onPMT(message.streams);
+                break;
+
+            case 'programs':
+                this.onPrograms(message.programs);
+                break;
+
+            case 'clockPIDs':
+                this.onClockPIDs(message.videoPID, message.pcrPID);
+                break;
+
+            case 'bitmap':
+                this.onBitmap({
+                    canvas: message.canvas || this.toCanvas(message.image),
+                    // Preprocessed for OCR, when enabled
+                    ocrCanvas: message.ocrCanvas || (message.ocrImage ? this.toCanvas(message.ocrImage) : null),
+                    pid: message.pid,
+                    page: message.page,
+                    language: message.language,
+                    pts: message.pts,
+                    timeout: message.timeout,
+                    width: message.width,
+                    height: message.height,
+                    x: message.x,
+                    y: message.y,
+                    displayWidth: message.displayWidth,
+                    displayHeight: message.displayHeight
+                });
+                break;
+
+            case 'clear':
+                this.onClear(message.pts, message.pid);
+                break;
+
+            case 'cue':
+                this.onCue(message.cue);
+                break;
+
+            case 'display':
+                this.onDisplay(message.text);
+                break;
+
+            case 'log':
+                this.onLog(message.source, message.message, message.level);
+                break;
+
+            case 'stats':
+                this.stats = message.stats;
+                this.selectedProgram = message.stats.selectedProgram;
+                this.teletextPage = message.stats.teletextPage;
+                this.dvbSubPID = message.stats.dvbSubPID;
+                this.dvbSubPage = message.stats.dvbSubPage;
+                break;
+        }
+    }
+
+    /**
+     * Draw a transferred ImageBitmap into a DOM canvas for preview and OCR
+     */
+    toCanvas(image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        image.close();
+        return canvas;
+    }
+
+    /**
+     * Feed a chunk of the raw stream
+     * @param {Uint8Array} chunk - Shared with other ingest consumers, so copied for the worker
+     */
+    parse(chunk) {
+        if (this.worker) {
+            const copy = chunk.slice();
+            this.send({ type: 'data', chunk: copy }, [copy.buffer]);
+        } else {
+            this.send({ type: 'data', chunk });
+        }
+    }
+
+    /**
+     * Reset the extractor and all decoders for a new stream
+     */
+    reset() {
+        this.send({ type: 'reset' });
+    }
+
+    resetDecoders() {
+        this.send({ type: 'resetDecoders' });
+    }
+
+    /**
+     * Choose the program to extract from (null = automatic)
+     */
+    selectProgram(programNumber) {
+        this.selectedProgram = programNumber;
+        this.send({ type: 'selectProgram', program: programNumber });
+    }
+
+    /**
+     * Decode DVB-SUB PES
+     */
+    setDVBSubEnabled(enabled) {
+        this.send({ type: 'setDVBSub', enabled });
+    }
+
+    /**
+     * Decode teletext PES (off flushes the page on screen)
+     */
+    setTeletextEnabled(enabled) {
+        this.send({ type: 'setTeletext', enabled });
+    }
+
+    /**
+     * Caption channel to decode, e.g. 'CC1' or 'SERVICE1' ('off' stops collecting the video PID)
+     */
+    setCaptionChannel(channel) {
+        this.send({ type: 'setCaptions', channel });
+    }
+
+    /**
+     * DVB-SUB service to decode, by PID and composition page (pid null =
+     * automatic: the program's first; page null = the PID's first)
+     */
+    selectDVBSubPage(pid, page) {
+        this.dvbSubPID = pid;
+        this.dvbSubPage = page;
+        this.send({ type: 'selectDVBSubPage', pid, page });
+    }
+
+    /**
+     * OCR preprocessing settings for the bitmaps posted from now on
+     * @param {Object} settings - See DEFAULT_PREPROCESS
+     */
+    setPreprocess(settings) {
+        this.send({ type: 'setPreprocess', settings });
+    }
+
+    /**
+     * Teletext page to decode (null = automatic)
+     */
+    selectTeletextPage(page) {
+        this.teletextPage = page;
+        this.send({ type: 'selectTeletextPage', page });
+    }
+}
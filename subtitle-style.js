@@ -0,0 +1,189 @@
+/**
+ * Text Style Detection for DVB Subtitle Bitmaps
+ *
+ * OCR returns plain text, while DVB pages tell speakers apart by the CLUT
+ * colour of their lines and mark some lines italic. Each line of text in
+ * a bitmap is found from its rows, then given:
+ * - Its text colour, picked from the line's palette (see analyzePalette)
+ * - Italic, when shearing its text pixels upright lines the glyph stems
+ *   up better than leaving them as they are
+ *
+ * The colour is also named after the nearest WebVTT colour class.
+ */
+
+import { analyzePalette } from './ocr-preprocess.js';
+
+// WebVTT default text colour classes
+export const VTT_COLORS = {
+    white: { r: 255, g: 255, b: 255 },
+    lime: { r: 0, g: 255, b: 0 },
+    cyan: { r: 0, g: 255, b: 255 },
+    red: { r: 255, g: 0, b: 0 },
+    yellow: { r: 255, g: 255, b: 0 },
+    magenta: { r: 255, g: 0, b: 255 },
+    blue: { r: 0, g: 0, b: 255 },
+    black: { r: 0, g: 0, b: 0 }
+};
+
+// Pixels this transparent count as background
+const MIN_ALPHA = 128;
+
+// Lines shorter than this share of the tallest are accents or punctuation of a neighbour
+const MIN_LINE_SHARE = 0.4;
+
+// Shears tried (horizontal px per row), and the least that counts as italic
+const SHEARS = [-0.1, -0.05, 0, 0.05, 0.1, 0.15, 0.2, 0.25, 0.3, 0.35];
+const ITALIC_SHEAR = 0.1;
+// How much sharper the best shear's column profile must be than upright's
+const ITALIC_GAIN = 1.08;
+
+function colorDistance(p, q) {
+    return Math.hypot(p.r - q.r, p.g - q.g, p.b - q.b);
+}
+
+/**
+ * Nearest WebVTT colour class of a colour
+ */
+export function nearestVTTColor(color) {
+    let best = 'white';
+    for (const name of Object.keys(VTT_COLORS)) {
+        if (colorDistance(color, VTT_COLORS[name]) < colorDistance(color, VTT_COLORS[best])) {
+            best = name;
+        }
+    }
+    return best;
+}
+
+/**
+ * Rows holding each line of text: runs of rows with something other than
+ * background, short runs merged into the nearest line
+ */
+function findLines(data, width, height, box) {
+    const lines = [];
+    let start = -1;
+
+    for (let y = 0; y <= height; y++) {
+        let content = false;
+        for (let x = 0; x < width && y < height; x++) {
+            const i = (y * width + x) * 4;
+            if (data[i + 3] < MIN_ALPHA) continue;
+            if (box && data[i] === box.r && data[i + 1] === box.g && data[i + 2] === box.b && data[i + 3] === box.a) continue;
+            content = true;
+            break;
+        }
+
+        if (content && start < 0) {
+            start = y;
+        } else if (!content && start >= 0) {
+            lines.push({ top: start, bottom: y });
+            start = -1;
+        }
+    }
+
+    const tallest = Math.max(0, ...lines.map(line => line.bottom - line.top));
+    for (let i = 0; i < lines.length && lines.length > 1; i++) {
+        const line = lines[i];
+        if (line.bottom - line.top >= tallest * MIN_LINE_SHARE) continue;
+
+        const above = lines[i - 1];
+        const below = lines[i + 1];
+        const into = !below || (above && line.top - above.bottom <= below.top - line.bottom) ? above : below;
+        into.top = Math.min(into.top, line.top);
+        into.bottom = Math.max(into.bottom, line.bottom);
+        lines.splice(i--, 1);
+    }
+
+    return lines;
+}
+
+/**
+ * Sharpness of the column profile of text pixels sheared upright by shear
+ */
+function columnScore(mask, width, top, bottom, shear) {
+    const margin = Math.ceil(Math.abs(shear) * (bottom - top)) + 1;
+    const columns = new Float64Array(width + margin * 2);
+
+    for (let y = top; y < bottom; y++) {
+        const shift = Math.round(shear * (bottom - 1 - y));
+        for (let x = 0; x < width; x++) {
+            if (mask[y * width + x]) columns[x - shift + margin]++;
+        }
+    }
+
+    let score = 0;
+    for (const count of columns) score += count * count;
+    return score;
+}
+
+/**
+ * Text colour and italics of each line in a subtitle bitmap
+ * @param {HTMLCanvasElement} canvas - Trimmed bitmap from the decoder
+ * @returns {Array} [{ top, bottom, color: {r, g, b}, colorName, italic }], top to bottom
+ */
+export function detectLineStyles(canvas) {
+    const { width, height } = canvas;
+    if (width === 0 || height === 0) return [];
+
+    const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    const lines = findLines(data, width, height, analyzePalette(canvas).box);
+
+    return lines.map(({ top, bottom }) => {
+        const palette = analyzePalette(canvas, top, bottom);
+        if (!palette.text) {
+            return { top, bottom, color: null, colorName: null, italic: false };
+        }
+
+        // Text pixels: opaque and nearer the text colour than the outline or box
+        const others = [palette.outline, palette.box].filter(Boolean);
+        const mask = new Uint8Array(width * height);
+        let count = 0;
+        for (let y = top; y < bottom; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                if (data[i + 3] < MIN_ALPHA) continue;
+                const pixel = { r: data[i], g: data[i + 1], b: data[i + 2] };
+                const toText = colorDistance(pixel, palette.text);
+                if (others.every(other => toText <= colorDistance(pixel, other))) {
+                    mask[y * width + x] = 1;
+                    count++;
+                }
+            }
+        }
+
+        let italic = false;
+        if (count > 0) {
+            const upright = columnScore(mask, width, top, bottom, 0);
+            let best = { shear: 0, score: upright };
+            for (const shear of SHEARS) {
+                const score = columnScore(mask, width, top, bottom, shear);
+                if (score > best.score) best = { shear, score };
+            }
+            italic = best.shear >= ITALIC_SHEAR && best.score > upright * ITALIC_GAIN;
+        }
+
+        const color = { r: palette.text.r, g: palette.text.g, b: palette.text.b };
+        return { top, bottom, color, colorName: nearestVTTColor(color), italic };
+    });
+}
+
+/**
+ * Pair OCR text lines with the styles of the bitmap lines they were read
+ * from. Counts can differ (a line OCR split or joined), so lines pair up
+ * by their place from top to bottom.
+ * @param {string} text - OCR text
+ * @param {Array} styles - From detectLineStyles
+ * @returns {Array} [{ text, color, colorName, italic }], one per non-empty text line
+ */
+export function styleTextLines(text, styles) {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+    return lines.map((line, index) => {
+        const style = styles[Math.floor(index * styles.length / lines.length)];
+        return {
+            text: line,
+            color: style ? style.color : null,
+            colorName: style ? style.colorName : null,
+            italic: style ? style.italic : false
+        };
+    });
+}
@@ -0,0 +1,9 @@
+/**
+ * Web Worker host for the subtitle pipeline (see subtitle-pipeline.js)
+ */
+
+import { SubtitlePipeline } from './subtitle-pipeline.js';
+
+const pipeline = new SubtitlePipeline((message, transfer) => self.postMessage(message, transfer || []));
+
+self.onmessage = (event) => pipeline.handle(event.data);
@@ -0,0 +1,346 @@
+/**
+ * DVB Teletext Subtitle Decoder
+ *
+ * Decodes EBU teletext carried in DVB PES packets (EN 300 472) into text
+ * cues, following the level 1 page format of EN 300 706:
+ * - Hamming 8/4 protected packet addresses and page headers
+ * - Odd parity characters in the Latin G0 set with the national option
+ *   subset chosen by the page header (C12-C14)
+ * - Subtitle/newsflash pages show only the boxed text
+ *
+ * Level 1.5+ enhancements (X/26, X/28 character set designation) are not
+ * decoded, so languages outside the national subsets fall back to Latin.
+ *
+ * A page is complete when the next header for its magazine arrives. Its
+ * text is shown from the PTS of its header until the page comes back with
+ * different content.
+ */
+
+// Hamming 8/4 code words for 0-15 (EN 300 706 8.2)
+const HAMMING_8_4 = [
+    0x15, 0x02, 0x49, 0x5E, 0x64, 0x73, 0x38, 0x2F,
+    0xD0, 0xC7, 0x8C, 0x9B, 0xA1, 0xB6, 0xFD, 0xEA
+];
+
+// Decoded value per byte, correcting single-bit errors; -1 = uncorrectable
+const UNHAM_8_4 = new Int8Array(256).fill(-1);
+HAMMING_8_4.forEach((code, value) => {
+    UNHAM_8_4[code] = value;
+    for (let bit = 0; bit < 8; bit++) {
+        UNHAM_8_4[code ^ (1 << bit)] = value;
+    }
+});
+
+// DVB sends teletext bytes least significant bit first
+const REVERSE_BITS = new Uint8Array(256);
+for (let i = 0; i < 256; i++) {
+    let reversed = 0;
+    for (let bit = 0; bit < 8; bit++) {
+        if (i & (1 << bit)) reversed |= 0x80 >> bit;
+    }
+    REVERSE_BITS[i] = reversed;
+}
+
+// G0 positions replaced by the national option subsets (EN 300 706 15.2)
+const NATIONAL_POSITIONS = [0x23, 0x24, 0x40, 0x5B, 0x5C, 0x5D, 0x5E, 0x5F, 0x60, 0x7B, 0x7C, 0x7D, 0x7E];
+
+// Indexed by C12 + 2*C13 + 4*C14
+const NATIONAL_SUBSETS = [
+    { name: 'English', chars: '£$@←½→↑#―¼‖¾÷' },
+    { name: 'French', chars: 'éïàëêùî#èâôûç' },
+    { name: 'Swedish/Finnish/Hungarian', chars: '#¤ÉÄÖÅÜ_éäöåü' },
+    { name: 'Czech/Slovak', chars: '#ůčťžýířéáěúš' },
+    { name: 'German', chars: '#$§ÄÖÜ^_°äöüß' },
+    { name: 'Portuguese/Spanish', chars: 'ç$¡áéíóú¿üñèà' },
+    { name: 'Italian', chars: '£$é°ç→↑#ùàòèì' },
+    { name: 'English', chars: '£$@←½→↑#―¼‖¾÷' }
+];
+
+// Descriptor teletext_type values that carry subtitles
+const SUBTITLE_PAGE_TYPES = new Set([0x02, 0x05]);
+
+function oddParity(byte) {
+    let bits = byte;
+    bits ^= bits >> 4;
+    bits ^= bits >> 2;
+    bits ^= bits >> 1;
+    return (bits & 1) === 1;
+}
+
+export class TeletextDecoder {
+    constructor(options = {}) {
+        this.onCue = options.onCue || (() => {});
+        this.onDisplay = options.onDisplay || (() => {});
+        this.onLog = options.onLog || console.log;
+
+        // Page to decode, e.g. 888 (null = first subtitle page)
+        this.page = options.page ?? null;
+        // Pages announced by the PMT teletext descriptor
+        this.descriptorPages = [];
+
+        this.reset();
+    }
+
+    reset() {
+        // magazine -> page being received
+        this.magazines = new Map();
+        // Rows of the active page as last displayed
+        this.memory = new Map();
+        // page number -> { page, subtitle, count }
+        this.pagesSeen = new Map();
+        this.shown = { text: '', start: 0, page: null };
+        this.lastTime = 0;
+
+        this.stats = {
+            dataUnits: 0,
+            hammingErrors: 0,
+            parityErrors: 0,
+            headers: 0
+        };
+    }
+
+    /**
+     * Pages listed in the PMT, used to pick the default subtitle page
+     * @param {Array<{page: number, teletextType: number, language: string}>} pages
+     */
+    setDescriptorPages(pages) {
+        this.descriptorPages = pages;
+    }
+
+    /**
+     * Page being decoded: the selected one, else the first subtitle page
+     * from the descriptor, else the first subtitle page received
+     */
+    getActivePage() {
+        if (this.page !== null) return this.page;
+
+        const announced = this.descriptorPages.find(p => SUBTITLE_PAGE_TYPES.has(p.teletextType));
+        if (announced) return announced.page;
+
+        for (const seen of this.pagesSeen.values()) {
+            if (seen.subtitle) return seen.page;
+        }
+        return null;
+    }
+
+    /**
+     * Choose the page to decode (null = automatic)
+     */
+    selectPage(page) {
+        this.endShown(this.lastTime);
+        this.onDisplay('');
+        this.memory.clear();
+        this.page = page;
+    }
+
+    /**
+     * Decode one teletext PES payload
+     * @param {Uint8Array} data - PES payload starting at data_identifier
+     * @param {number} pts - Presentation timestamp (90kHz)
+     */
+    decode(data, pts) {
+        // data_identifier 0x10-0x1F: EBU data (EN 300 472)
+        if (data.length < 1 || data[0] < 0x10 || data[0] > 0x1F) return;
+
+        const time = pts / 90000;
+        this.lastTime = time;
+
+        let offset = 1;
+        while (offset + 2 <= data.length) {
+            const dataUnitId = data[offset];
+            const dataUnitLength = data[offset + 1];
+            offset += 2;
+
+            // 0x02 non-subtitle, 0x03 subtitle teletext data; 0xFF stuffing
+            if ((dataUnitId === 0x02 || dataUnitId === 0x03) && dataUnitLength === 0x2C && offset + 44 <= data.length) {
+                this.stats.dataUnits++;
+                this.decodePacket(data.subarray(offset, offset + 44), time);
+            }
+
+            offset += dataUnitLength;
+        }
+    }
+
+    decodePacket(unit, time) {
+        // unit[0]: field parity/line offset, unit[1]: framing code
+        if (unit[1] !== 0xE4) return;
+
+        const packet = new Uint8Array(42);
+        for (let i = 0; i < 42; i++) {
+            packet[i] = REVERSE_BITS[unit[2 + i]];
+        }
+
+        const low = UNHAM_8_4[packet[0]];
+        const high = UNHAM_8_4[packet[1]];
+        if (low < 0 || high < 0) {
+            this.stats.hammingErrors++;
+            return;
+        }
+
+        const address = low | (high << 4);
+        const magazine = (address & 0x07) || 8;
+        const row = address >> 3;
+
+        if (row === 0) {
+            this.pageHeader(magazine, packet.subarray(2), time);
+        } else if (row <= 24) {
+            const page = this.magazines.get(magazine);
+            if (page && page.number === this.getActivePage()) {
+                page.rows.set(row, packet.slice(2));
+            }
+        }
+        // Rows 25-31 carry enhancement and navigation data
+    }
+
+    pageHeader(magazine, data, time) {
+        const units = UNHAM_8_4[data[0]];
+        const tens = UNHAM_8_4[data[1]];
+        const s2 = UNHAM_8_4[data[3]];
+        const s4 = UNHAM_8_4[data[5]];
+        const control = UNHAM_8_4[data[7]];
+        if (units < 0 || tens < 0 || s2 < 0 || s4 < 0 || control < 0) {
+            this.stats.hammingErrors++;
+            return;
+        }
+
+        this.stats.headers++;
+
+        // A header ends the page being received in its magazine, or in all of them in serial mode (C11)
+        if (control & 0x01) {
+            for (const page of this.magazines.values()) {
+                this.completePage(page);
+            }
+            this.magazines.clear();
+        } else if (this.magazines.has(magazine)) {
+            this.completePage(this.magazines.get(magazine));
+            this.magazines.delete(magazine);
+        }
+
+        // Hex page numbers (e.g. time filling header xFF) are never displayed
+        if (units > 9 || tens > 9) return;
+
+        const number = magazine * 100 + tens * 10 + units;
+        const subtitle = (s4 & 0x08) !== 0; // C6
+        const newsflash = (s4 & 0x04) !== 0; // C5
+
+        const seen = this.pagesSeen.get(number);
+        if (seen) {
+            seen.count++;
+            seen.subtitle = seen.subtitle || subtitle;
+        } else {
+            this.pagesSeen.set(number, { page: number, subtitle, count: 1 });
+            if (subtitle) {
+                this.onLog(`Teletext subtitle page ${number} found`);
+            }
+        }
+
+        this.magazines.set(magazine, {
+            number,
+            boxed: subtitle || newsflash,
+            erase: (s2 & 0x08) !== 0, // C4
+            charset: (control >> 1) & 0x07,
+            time,
+            rows: new Map()
+        });
+    }
+
+    completePage(page) {
+        if (page.number !== this.getActivePage()) return;
+
+        // Without C4 the new rows overwrite only the rows they replace
+        if (page.erase) {
+            this.memory = page.rows;
+        } else {
+            page.rows.forEach((data, row) => this.memory.set(row, data));
+        }
+
+        const text = Array.from(this.memory.keys())
+            .sort((a, b) => a - b)
+            .map(row => this.decodeRow(this.memory.get(row), page.charset, page.boxed))
+            .filter(line => line.length > 0)
+            .join('\n');
+
+        this.show(text, page.time, page.number);
+    }
+
+    decodeRow(data, charset, boxed) {
+        const subset = NATIONAL_SUBSETS[charset].chars;
+        let line = '';
+        let inBox = !boxed;
+
+        for (let i = 0; i < data.length; i++) {
+            if (!oddParity(data[i])) {
+                this.stats.parityErrors++;
+                if (inBox) line += ' ';
+                continue;
+            }
+
+            const code = data[i] & 0x7F;
+
+            if (code === 0x0B) { // Start box
+                inBox = true;
+                continue;
+            }
+            if (code === 0x0A) { // End box
+                inBox = false;
+                line += ' ';
+                continue;
+            }
+            if (!inBox) continue;
+
+            if (code < 0x20) {
+                // Spacing attributes occupy a character cell
+                line += ' ';
+            } else if (code === 0x7F) {
+                line += '■';
+            } else {
+                const national = NATIONAL_POSITIONS.indexOf(code);
+                line += national >= 0 ? subset[national] : String.fromCharCode(code);
+            }
+        }
+
+        return line.replace(/\s+/g, ' ').trim();
+    }
+
+    show(text, time, page) {
+        if (text === this.shown.text) return;
+
+        this.endShown(time);
+        this.shown = { text, start: time, page };
+        this.onDisplay(text);
+    }
+
+    endShown(time) {
+        if (this.shown.text) {
+            this.onCue({
+                text: this.shown.text,
+                start: this.shown.start,
+                end: Math.max(time, this.shown.start),
+                channel: `P${this.shown.page}`,
+                source: 'teletext'
+            });
+        }
+        this.shown = { text: '', start: 0, page: null };
+    }
+
+    /**
+     * Treat pages still being received as complete and close the cue on screen
+     */
+    flush() {
+        for (const page of this.magazines.values()) {
+            this.completePage(page);
+        }
+        this.magazines.clear();
+
+        this.endShown(this.lastTime);
+        this.onDisplay('');
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            page: this.getActivePage(),
+            pages: Array.from(this.pagesSeen.values()).sort((a, b) => a.page - b.page)
+        };
+    }
+}
@@ -0,0 +1,400 @@
+/**
+ * ETSI TR 101 290 Transport Stream Monitor
+ *
+ * Runs the Priority 1 and Priority 2 measurements on the raw TS packets
+ * to tell signal/transport problems apart from player problems.
+ *
+ * Timing checks (PAT/PMT/PID/PCR/PTS intervals) run on a stream clock:
+ * the packets counted so far at the mux rate measured between PCRs. Chunks
+ * arrive in bursts and the page can stall for hundreds of milliseconds, so
+ * arrival time would flag intervals the stream never had. The checks start
+ * once the first mux rate is measured. Data lost before it reaches the
+ * page doesn't advance the clock: it shows as continuity and PCR
+ * discontinuity errors instead. PCR discontinuity is checked on the PCR
+ * values themselves.
+ *
+ * Feed it from a TSPacketReader: processPacket() for every packet,
+ * syncByteError()/syncLoss() from the reader's sync callbacks.
+ */
+
+import { SectionAssembler, crc32, decodeTable } from './psi.js';
+import { parsePacketHeader, NULL_PID, PCR_WRAP, TS_PACKET_SIZE } from './ts-packet.js';
+import { createContinuityState, checkContinuity } from './continuity.js';
+
+export const TR101290_INDICATORS = [
+    { key: 'tsSyncLoss', id: '1.1', name: 'TS_sync_loss', priority: 1 },
+    { key: 'syncByteError', id: '1.2', name: 'Sync_byte_error', priority: 1 },
+    { key: 'patError', id: '1.3', name: 'PAT_error', priority: 1 },
+    { key: 'continuityCountError', id: '1.4', name: 'Continuity_count_error', priority: 1 },
+    { key: 'pmtError', id: '1.5', name: 'PMT_error', priority: 1 },
+    { key: 'pidError', id: '1.6', name: 'PID_error', priority: 1 },
+    { key: 'transportError', id: '2.1', name: 'Transport_error', priority: 2 },
+    { key: 'crcError', id: '2.2', name: 'CRC_error', priority: 2 },
+    { key: 'pcrRepetitionError', id: '2.3a', name: 'PCR_repetition_error', priority: 2 },
+    { key: 'pcrDiscontinuityError', id: '2.3b', name: 'PCR_discontinuity_indicator_error', priority: 2 },
+    { key: 'ptsError', id: '2.5', name: 'PTS_error', priority: 2 }
+];
+
+// PCR_repetition_error (2.3a): PCRs of a PID further apart than this (ms). The PCR table shares it.
+export const PCR_REPETITION_LIMIT = 40;
+
+// Stream types whose PTS repetition is checked (video and audio)
+const PTS_STREAM_TYPES = new Set([0x01, 0x02, 0x03, 0x04, 0x0F, 0x11, 0x1B, 0x24, 0x81, 0x87]);
+
+// SI PIDs whose sections are CRC-checked (CAT, NIT, SDT/BAT, EIT, TOT)
+const SI_PIDS = new Set([0x0001, 0x0010, 0x0011, 0x0012, 0x0014]);
+
+// Weight of each new PCR-to-PCR sample in the mux rate
+const MUX_RATE_SMOOTHING = 0.1;
+// PCR steps longer than this (ms) are jumps, not time passing
+const MAX_RATE_SAMPLE = 1000;
+
+function emptyCounters() {
+    const counters = {};
+    TR101290_INDICATORS.forEach(indicator => { counters[indicator.key] = 0; });
+    return counters;
+}
+
+export class TR101290Monitor {
+    constructor(options = {}) {
+        this.onSecond = options.onSecond || (() => {});
+        this.onLog = options.onLog || console.log;
+
+        // Limits in milliseconds (TR 101 290 defaults)
+        this.limits = {
+            patInterval: 500,
+            pmtInterval: 500,
+            pidTimeout: 5000,
+            pcrInterval: PCR_REPETITION_LIMIT,
+            pcrDiscontinuity: 100,
+            ptsInterval: 700,
+            ...options.limits
+        };
+
+        // Seconds of per-second counts kept for the timeline
+        this.historyLength = options.historyLength || 300;
+
+        this.assembler = new SectionAssembler({
+            onSection: (pid, section) => this.handleSection(pid, section)
+        });
+
+        this.reset();
+    }
+
+    reset() {
+        this.counters = emptyCounters();
+        this.current = emptyCounters();
+        this.details = {};
+        this.history = [];
+
+        this.now = 0;
+        this.lastTick = null;
+        this.lastCheck = 0;
+        this.packets = 0;
+
+        // Stream clock (ms), advanced per packet at the mux rate (bits/s)
+        this.streamTime = 0;
+        this.muxRate = null;
+        // The PCRs the mux rate is measured on: first PID seen carrying one
+        this.clockPID = null;
+        this.clockPCR = null;
+        this.clockPacket = 0;
+
+        // pid -> { cc, duplicates, lastPCR, lastPCRTime, lastPTSTime }
+        this.pids = new Map();
+        this.lastSeen = new Map();
+
+        this.lastPATTime = null;
+        this.pmtPIDs = new Map();           // PMT PID -> last PMT section time
+        this.referencedPIDs = new Map();    // ES/PCR PID -> last time checked in
+        this.pcrPIDs = new Set();
+        this.ptsPIDs = new Set();
+
+        this.assembler.reset();
+    }
+
+    /**
+     * Count an indicator. The first detail of each second is kept for the log.
+     */
+    flag(key, detail) {
+        this.counters[key]++;
+        this.current[key]++;
+        if (detail && !this.details[key]) {
+            this.details[key] = detail;
+        }
+    }
+
+    syncByteError() {
+        this.flag('syncByteError');
+    }
+
+    syncLoss() {
+        this.flag('tsSyncLoss', 'Sync lost');
+    }
+
+    /**
+     * Run the per-packet checks
+     * @param {Uint8Array} packet - 188-byte packet
+     * @param {number} time - Arrival time (ms, performance.now()), only for the per-second history
+     */
+    processPacket(packet, time) {
+        this.packets++;
+        if (this.muxRate !== null) {
+            this.streamTime += TS_PACKET_SIZE * 8 * 1000 / this.muxRate;
+        }
+        this.now = this.streamTime;
+
+        if (this.lastTick === null) {
+            this.lastTick = time;
+        }
+        if (this.lastPATTime === null) {
+            // Start the PSI clocks with the first packet
+            this.lastPATTime = this.now;
+        }
+
+        const header = parsePacketHeader(packet);
+        const pid = header.pid;
+
+        if (header.pcr !== null && !header.transportError) {
+            this.measureMuxRate(pid, header);
+        }
+
+        if (header.transportError) {
+            // The rest of the packet can't be trusted
+            this.flag('transportError', `PID ${pid}`);
+            return;
+        }
+
+        this.lastSeen.set(pid, this.now);
+
+        if (pid !== NULL_PID) {
+            let state = this.pids.get(pid);
+            if (!state) {
+                state = { ...createContinuityState(), lastPCR: null, lastPCRTime: null, lastPTSTime: null };
+                this.pids.set(pid, state);
+            }
+
+            this.checkContinuity(pid, state, header);
+
+            if (header.pcr !== null && this.pcrPIDs.has(pid)) {
+                this.checkPCR(pid, state, header, this.now);
+            }
+
+            if (header.payloadUnitStart && header.hasPayload && this.ptsPIDs.has(pid)) {
+                const pes = packet.subarray(header.payloadOffset);
+                if (pes.length > 9 && pes[0] === 0x00 && pes[1] === 0x00 && pes[2] === 0x01 && (pes[7] & 0x80)) {
+                    state.lastPTSTime = this.now;
+                }
+            }
+        }
+
+        const isPMT = this.pmtPIDs.has(pid);
+
+        if (header.scrambling !== 0) {
+            if (pid === 0) this.flag('patError', 'PAT packet scrambled');
+            if (isPMT) this.flag('pmtError', `PMT PID ${pid} scrambled`);
+        }
+
+        if (header.hasPayload && header.payloadOffset < packet.length && (pid === 0 || isPMT || SI_PIDS.has(pid))) {
+            this.assembler.push(pid, packet.subarray(header.payloadOffset), header.payloadUnitStart);
+        }
+
+        if (this.muxRate !== null && this.now - this.lastCheck >= 100) {
+            this.checkIntervals(this.now);
+            this.lastCheck = this.now;
+        }
+
+        if (time - this.lastTick >= 1000) {
+            this.tick(time);
+        }
+    }
+
+    /**
+     * Update the mux rate from the packets between two PCRs of the clock PID.
+     * Samples across a discontinuity or a jump only restart the measurement.
+     */
+    measureMuxRate(pid, header) {
+        if (this.clockPID === null) {
+            this.clockPID = pid;
+        }
+        if (pid !== this.clockPID) return;
+
+        if (this.clockPCR !== null && !header.discontinuity) {
+            const delta = (header.pcr - this.clockPCR + PCR_WRAP) % PCR_WRAP;
+            if (delta > 0 && delta <= MAX_RATE_SAMPLE * 27000) {
+                const rate = (this.packets - this.clockPacket) * TS_PACKET_SIZE * 8 * 27000000 / delta;
+                this.muxRate = this.muxRate === null ? rate : this.muxRate + (rate - this.muxRate) * MUX_RATE_SMOOTHING;
+            }
+        }
+
+        this.clockPCR = header.pcr;
+        this.clockPacket = this.packets;
+    }
+
+    checkContinuity(pid, state, header) {
+        const result = checkContinuity(state, header);
+        if (!result) return;
+
+        if (result.kind === 'loss') {
+            this.flag('continuityCountError', `PID ${pid}: expected ${result.expected}, got ${result.got} (${result.missing} lost)`);
+        } else if (result.kind === 'duplicate') {
+            if (result.allowed) return;
+            this.flag('continuityCountError', `PID ${pid}: packet repeated ${result.repeats} times`);
+        } else {
+            this.flag('continuityCountError', `PID ${pid}: counter changed without payload`);
+        }
+    }
+
+    checkPCR(pid, state, header, time) {
+        if (state.lastPCR !== null && !header.discontinuity) {
+            const delta = (header.pcr - state.lastPCR + PCR_WRAP) % PCR_WRAP;
+            if (delta > this.limits.pcrDiscontinuity * 27000) {
+                this.flag('pcrDiscontinuityError', `PID ${pid}: PCR jumped ${(delta / 27000).toFixed(1)}ms`);
+            }
+        }
+
+        state.lastPCR = header.pcr;
+        state.lastPCRTime = time;
+    }
+
+    handleSection(pid, section) {
+        const tableId = section[0];
+        const sectionSyntaxIndicator = (section[1] >> 7) & 0x01;
+
+        if ((sectionSyntaxIndicator || tableId === 0x73) && crc32(section) !== 0) {
+            this.flag('crcError', `PID ${pid} table_id 0x${tableId.toString(16)}`);
+            return;
+        }
+
+        if (pid === 0) {
+            if (tableId !== 0x00) {
+                this.flag('patError', `table_id 0x${tableId.toString(16)} on PID 0`);
+                return;
+            }
+
+            this.lastPATTime = this.now;
+            this.updatePAT(decodeTable(pid, section));
+            return;
+        }
+
+        if (this.pmtPIDs.has(pid) && tableId === 0x02) {
+            this.pmtPIDs.set(pid, this.now);
+            this.updatePMT(decodeTable(pid, section));
+        }
+    }
+
+    updatePAT(pat) {
+        const pmtPIDs = new Map();
+        for (const program of pat.programs) {
+            pmtPIDs.set(program.pmtPID, this.pmtPIDs.get(program.pmtPID) ?? this.now);
+        }
+        this.pmtPIDs = pmtPIDs;
+    }
+
+    updatePMT(pmt) {
+        if (!this.referencedPIDs.has(pmt.pcrPID) && pmt.pcrPID !== NULL_PID) {
+            this.referencedPIDs.set(pmt.pcrPID, this.now);
+        }
+        this.pcrPIDs.add(pmt.pcrPID);
+
+        for (const stream of pmt.streams) {
+            if (!this.referencedPIDs.has(stream.pid)) {
+                this.referencedPIDs.set(stream.pid, this.now);
+            }
+            if (PTS_STREAM_TYPES.has(stream.streamType)) {
+                this.ptsPIDs.add(stream.pid);
+            }
+        }
+    }
+
+    /**
+     * Repetition and timeout checks. Each check re-arms after it fires,
+     * so a missing table counts once per elapsed interval.
+     */
+    checkIntervals(time) {
+        const limits = this.limits;
+
+        if (time - this.lastPATTime > limits.patInterval) {
+            this.flag('patError', `No PAT for ${(time - this.lastPATTime).toFixed(0)}ms`);
+            this.lastPATTime = time;
+        }
+
+        for (const [pid, last] of this.pmtPIDs) {
+            if (time - last > limits.pmtInterval) {
+                this.flag('pmtError', `No PMT on PID ${pid} for ${(time - last).toFixed(0)}ms`);
+                this.pmtPIDs.set(pid, time);
+            }
+        }
+
+        for (const [pid, checked] of this.referencedPIDs) {
+            const last = Math.max(checked, this.lastSeen.get(pid) || 0);
+            if (time - last > limits.pidTimeout) {
+                this.flag('pidError', `PID ${pid} missing for ${((time - last) / 1000).toFixed(1)}s`);
+                this.referencedPIDs.set(pid, time);
+            }
+        }
+
+        for (const pid of this.pcrPIDs) {
+            const state = this.pids.get(pid);
+            if (state && state.lastPCRTime !== null && time - state.lastPCRTime > limits.pcrInterval) {
+                this.flag('pcrRepetitionError', `PID ${pid}: no PCR for ${(time - state.lastPCRTime).toFixed(0)}ms`);
+                state.lastPCRTime = time;
+            }
+        }
+
+        for (const pid of this.ptsPIDs) {
+            const state = this.pids.get(pid);
+            if (state && state.lastPTSTime !== null && time - state.lastPTSTime > limits.ptsInterval) {
+                this.flag('ptsError', `PID ${pid}: no PTS for ${(time - state.lastPTSTime).toFixed(0)}ms`);
+                state.lastPTSTime = time;
+            }
+        }
+    }
+
+    /**
+     * Close the current one-second bucket
+     */
+    tick(time) {
+        const entry = {
+            time: Date.now(),
+            counts: this.current,
+            details: this.details
+        };
+
+        this.history.push(entry);
+        if (this.history.length > this.historyLength) {
+            this.history.shift();
+        }
+
+        this.current = emptyCounters();
+        this.details = {};
+        this.lastTick = time;
+
+        this.onSecond(entry);
+    }
+
+    /**
+     * Counts per indicator over the last `seconds` seconds
+     */
+    getRecentCounts(seconds = 60) {
+        const counts = emptyCounters();
+        this.history.slice(-seconds).forEach(entry => {
+            for (const key in counts) {
+                counts[key] += entry.counts[key];
+            }
+        });
+        return counts;
+    }
+
+    getStats() {
+        return {
+            packets: this.packets,
+            counters: { ...this.counters },
+            priority1: TR101290_INDICATORS.filter(i => i.priority === 1).reduce((sum, i) => sum + this.counters[i.key], 0),
+            priority2: TR101290_INDICATORS.filter(i => i.priority === 2).reduce((sum, i) => sum + this.counters[i.key], 0),
+            muxRate: this.muxRate,
+            pmtPIDs: Array.from(this.pmtPIDs.keys()),
+            pcrPIDs: Array.from(this.pcrPIDs)
+        };
+    }
+}
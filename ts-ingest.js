@@ -0,0 +1,235 @@
+/**
+ * Shared MPEG-TS Ingest
+ *
+ * Fetches a stream URL once and fans the raw bytes out to every consumer:
+ * mpegts.js (through a custom loader), TSSubtitleExtractor and any other
+ * analyzer. HDHomeRun devices allocate a tuner per HTTP connection, so a
+ * second fetch of the same URL costs a second tuner (and fails outright on
+ * 2-tuner units).
+ *
+ * Consumers are plain objects:
+ * - onData(chunk)  - called with each Uint8Array chunk as it arrives
+ * - onStart(url)   - optional, called when a new fetch begins
+ * - onEnd()        - optional, called when the stream ends
+ * - onError(err)   - optional, called when the fetch fails
+ */
+
+export class TSIngest {
+    constructor(options = {}) {
+        this.onLog = options.onLog || console.log;
+        this.onError = options.onError || console.error;
+
+        // State
+        this.url = null;
+        this.running = false;
+        this.consumers = new Set();
+        this.abortController = null;
+        this.reader = null;
+
+        // Statistics
+        this.stats = {
+            bytesReceived: 0,
+            chunksReceived: 0,
+            startTime: 0
+        };
+    }
+
+    /**
+     * Register a consumer for the byte stream
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(consumer) {
+        this.consumers.add(consumer);
+        return () => this.unsubscribe(consumer);
+    }
+
+    /**
+     * Remove a consumer. The fetch is stopped once nobody is listening,
+     * so the tuner is released as soon as possible.
+     */
+    unsubscribe(consumer) {
+        this.consumers.delete(consumer);
+
+        if (this.consumers.size === 0 && this.running) {
+            this.onLog('No consumers left, stopping ingest');
+            this.stop();
+        }
+    }
+
+    /**
+     * Start fetching a URL. Calling this again with the URL that is already
+     * being fetched is a no-op, so every consumer can call it safely.
+     */
+    async start(url) {
+        if (this.running && this.url === url) return;
+
+        this.stop();
+
+        this.url = url;
+        this.running = true;
+        this.stats = { bytesReceived: 0, chunksReceived: 0, startTime: Date.now() };
+
+        const abortController = new AbortController();
+        this.abortController = abortController;
+
+        this.consumers.forEach(c => c.onStart?.(url));
+
+        try {
+            const response = await fetch(url, { signal: abortController.signal });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            }
+
+            if (!response.body) {
+                throw new Error('ReadableStream not supported');
+            }
+
+            this.reader = response.body.getReader();
+            this.onLog(`Ingest started: ${url}`);
+
+            while (this.abortController === abortController) {
+                const { done, value } = await this.reader.read();
+                if (done) break;
+
+                if (value) {
+                    this.dispatch(value);
+                }
+            }
+
+            if (this.abortController === abortController) {
+                this.onLog('Ingest stream ended');
+                this.running = false;
+                this.consumers.forEach(c => c.onEnd?.());
+            }
+
+        } catch (err) {
+            if (err.name === 'AbortError' || this.abortController !== abortController) return;
+
+            this.running = false;
+            this.onError('Ingest error: ' + err.message);
+            this.consumers.forEach(c => c.onError?.(err));
+        }
+    }
+
+    /**
+     * Hand a chunk to every consumer. A failing consumer must not starve
+     * the others (least of all the player).
+     */
+    dispatch(chunk) {
+        this.stats.bytesReceived += chunk.byteLength;
+        this.stats.chunksReceived++;
+
+        for (const consumer of this.consumers) {
+            try {
+                consumer.onData(chunk);
+            } catch (err) {
+                this.onError('Ingest consumer error: ' + err.message);
+            }
+        }
+    }
+
+    /**
+     * Abort the fetch. Consumers stay registered and receive data again
+     * on the next start().
+     */
+    stop() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+        if (this.reader) {
+            this.reader.cancel().catch(() => {});
+            this.reader = null;
+        }
+        this.running = false;
+    }
+
+    /**
+     * Get current statistics
+     */
+    getStats() {
+        const elapsed = (Date.now() - this.stats.startTime) / 1000;
+        return {
+            ...this.stats,
+            running: this.running,
+            url: this.url,
+            consumers: this.consumers.size,
+            averageBitrate: this.running && elapsed > 0 ? (this.stats.bytesReceived * 8) / elapsed : 0
+        };
+    }
+}
+
+/**
+ * Create an mpegts.js loader class that reads from a TSIngest instead of
+ * opening its own connection. Pass the result as the `customLoader` config
+ * option. mpegts.js cannot post a class to its transmuxing worker, so the
+ * player must be created with `enableWorker: false`.
+ */
+export function createIngestLoader(ingest) {
+    const { BaseLoader, LoaderStatus, LoaderErrors } = window.mpegts;
+
+    return class IngestLoader extends BaseLoader {
+        constructor(seekHandler, config) {
+            super('ts-ingest-loader');
+            this.TAG = 'IngestLoader';
+
+            this._needStash = true;
+            this._consumer = null;
+            this._range = null;
+            this._receivedLength = 0;
+        }
+
+        destroy() {
+            if (this.isWorking()) {
+                this.abort();
+            }
+            super.destroy();
+        }
+
+        open(dataSource, range) {
+            this._range = range;
+            this._receivedLength = 0;
+            this._status = LoaderStatus.kConnecting;
+
+            this._consumer = {
+                onData: (chunk) => {
+                    this._status = LoaderStatus.kBuffering;
+
+                    // mpegts.js keeps hold of the buffer, so give it its own copy
+                    const buffer = chunk.buffer.slice(chunk.byteOffset, chunk.byteOffset + chunk.byteLength);
+                    const byteStart = this._range.from + this._receivedLength;
+                    this._receivedLength += buffer.byteLength;
+
+                    if (this._onDataArrival) {
+                        this._onDataArrival(buffer, byteStart, this._receivedLength);
+                    }
+                },
+                onEnd: () => {
+                    this._status = LoaderStatus.kComplete;
+                    if (this._onComplete) {
+                        this._onComplete(this._range.from, this._range.from + this._receivedLength - 1);
+                    }
+                },
+                onError: (err) => {
+                    this._status = LoaderStatus.kError;
+                    if (this._onError) {
+                        this._onError(LoaderErrors.EXCEPTION, { code: -1, msg: err.message });
+                    }
+                }
+            };
+
+            ingest.subscribe(this._consumer);
+            ingest.start(dataSource.url);
+        }
+
+        abort() {
+            if (this._consumer) {
+                const consumer = this._consumer;
+                this._consumer = null;
+                ingest.unsubscribe(consumer);
+            }
+            this._status = LoaderStatus.kComplete;
+        }
+    };
+}
@@ -0,0 +1,253 @@
+/**
+ * MPEG-TS Packet Helpers
+ *
+ * Packet framing and header parsing shared by the stream analyzers
+ * (ISO/IEC 13818-1 2.4.3).
+ */
+
+export const TS_PACKET_SIZE = 188;
+export const SYNC_BYTE = 0x47;
+export const NULL_PID = 0x1FFF;
+
+// PCR is a 33-bit base at 90 kHz times 300 plus a 9-bit extension (27 MHz)
+export const PCR_WRAP = Math.pow(2, 33) * 300;
+export const PTS_WRAP = Math.pow(2, 33);
+
+// Packet formats on the wire. Each carries one 188-byte TS packet:
+// M2TS (BDAV) prefixes a 4-byte arrival timestamp, DVB cards may append
+// 16 Reed-Solomon parity bytes.
+export const PACKET_FORMATS = [
+    { name: 'TS', size: 188 },
+    { name: 'M2TS', size: 192 },
+    { name: 'TS+RS', size: 204 }
+];
+
+const MAX_PACKET_SIZE = 204;
+
+/**
+ * Parse the 4-byte header and the adaptation field of a TS packet
+ * @param {Uint8Array} packet - One 188-byte packet starting at the sync byte
+ */
+export function parsePacketHeader(packet) {
+    const adaptationFieldControl = (packet[3] >> 4) & 0x03;
+
+    const header = {
+        pid: ((packet[1] & 0x1F) << 8) | packet[2],
+        transportError: (packet[1] & 0x80) !== 0,
+        payloadUnitStart: (packet[1] & 0x40) !== 0,
+        scrambling: (packet[3] >> 6) & 0x03,
+        adaptationFieldControl,
+        continuityCounter: packet[3] & 0x0F,
+        hasPayload: (adaptationFieldControl & 0x01) !== 0,
+        payloadOffset: 4,
+        discontinuity: false,
+        randomAccess: false,
+        pcr: null
+    };
+
+    if (adaptationFieldControl & 0x02) {
+        const adaptationFieldLength = packet[4];
+        header.payloadOffset = 5 + adaptationFieldLength;
+
+        if (adaptationFieldLength > 0) {
+            const flags = packet[5];
+            header.discontinuity = (flags & 0x80) !== 0;
+            header.randomAccess = (flags & 0x40) !== 0;
+
+            if ((flags & 0x10) && adaptationFieldLength >= 7) {
+                header.pcr = readPCR(packet, 6);
+            }
+        }
+    }
+
+    return header;
+}
+
+/**
+ * Read a 48-bit PCR field (33-bit base, 6 reserved, 9-bit extension)
+ * @returns {number} PCR in 27 MHz units
+ */
+export function readPCR(data, offset) {
+    // 33 bits exceed JS bitwise range, so build the base with multiplication
+    const base = data[offset] * 33554432 +       // << 25
+                 (data[offset + 1] << 17) +
+                 (data[offset + 2] << 9) +
+                 (data[offset + 3] << 1) +
+                 (data[offset + 4] >> 7);
+    const extension = ((data[offset + 4] & 0x01) << 8) | data[offset + 5];
+
+    return base * 300 + extension;
+}
+
+/**
+ * Read a 33-bit PTS/DTS field from a PES header
+ * @returns {number} Timestamp in 90 kHz units
+ */
+export function readPTS(data, offset) {
+    return ((data[offset] >> 1) & 0x07) * 1073741824 +  // << 30
+           (data[offset + 1] << 22) +
+           ((data[offset + 2] >> 1) << 15) +
+           (data[offset + 3] << 7) +
+           (data[offset + 4] >> 1);
+}
+
+/**
+ * Frames a byte stream into TS packets.
+ *
+ * Carries partial packets over between chunks and applies the
+ * TR 101 290 sync hysteresis: sync is acquired after 5 consecutive
+ * sync bytes and lost after 2 consecutive corrupted ones.
+ *
+ * The packet format (188, 192 or 204 bytes) is detected while acquiring
+ * sync from the spacing of the sync bytes. Every format is handed out as
+ * the 188-byte TS packet, without timestamp prefix or parity.
+ *
+ * Packets are handed out as views into the chunk pushed (or a small
+ * buffer joining a packet split across chunks) and are only valid for
+ * the duration of the onPacket callback.
+ */
+export class TSPacketReader {
+    constructor(options = {}) {
+        this.onPacket = options.onPacket || (() => {});
+        this.onSyncByteError = options.onSyncByteError || (() => {});
+        this.onSyncLoss = options.onSyncLoss || (() => {});
+        this.onSyncAcquired = options.onSyncAcquired || (() => {});
+
+        this.syncConfirmCount = options.syncConfirmCount || 5;
+        this.syncLossCount = options.syncLossCount || 2;
+
+        this.reset();
+    }
+
+    /**
+     * Feed a chunk of stream bytes
+     * @param {Uint8Array} chunk
+     */
+    push(chunk) {
+        const time = performance.now();
+        let offset = 0;
+
+        // Only the packet straddling the chunk boundary (and, while hunting
+        // for sync, the bytes to confirm it) is copied; the rest is read in place
+        if (this.leftover.length > 0) {
+            const head = Math.min(chunk.length, MAX_PACKET_SIZE * this.syncConfirmCount);
+            const joined = new Uint8Array(this.leftover.length + head);
+            joined.set(this.leftover, 0);
+            joined.set(chunk.subarray(0, head), this.leftover.length);
+
+            const end = this.framePackets(joined, 0, time);
+            if (head === chunk.length) {
+                this.leftover = joined.slice(end);
+                return;
+            }
+            offset = end - this.leftover.length;
+        }
+
+        const end = this.framePackets(chunk, offset, time);
+        this.leftover = chunk.slice(end);
+    }
+
+    /**
+     * Hand out the whole packets in data from offset
+     * @returns {number} Offset of the first byte left over
+     */
+    framePackets(data, offset, time) {
+        while (data.length - offset >= TS_PACKET_SIZE) {
+            if (!this.inSync) {
+                const found = this.findSync(data, offset);
+                if (found < 0) {
+                    // Keep the positions that could not be confirmed yet
+                    const keep = Math.max(offset, data.length - MAX_PACKET_SIZE * (this.syncConfirmCount - 1));
+                    this.stats.bytesSkipped += keep - offset;
+                    offset = keep;
+                    break;
+                }
+
+                this.stats.bytesSkipped += found - offset;
+                offset = found;
+                this.inSync = true;
+                this.badSyncCount = 0;
+                this.stats.syncAcquisitions++;
+                // The first acquisition is the initial lock, not a resync
+                const resync = this.stats.syncAcquisitions > 1;
+                if (resync) this.stats.resyncs++;
+                this.onSyncAcquired(resync);
+            }
+
+            // Wait for the whole wire packet so the next sync byte lands in this buffer
+            const size = this.format.size;
+            if (data.length - offset < size) break;
+
+            if (data[offset] !== SYNC_BYTE) {
+                this.stats.syncByteErrors++;
+                this.onSyncByteError();
+
+                if (++this.badSyncCount >= this.syncLossCount) {
+                    this.inSync = false;
+                    this.stats.syncLosses++;
+                    this.onSyncLoss();
+                    // Hunt from just after the first corrupted sync byte
+                    offset = Math.max(0, offset - size * (this.syncLossCount - 1) + 1);
+                    continue;
+                }
+
+                offset += size;
+                continue;
+            }
+
+            this.badSyncCount = 0;
+            this.stats.packets++;
+            this.onPacket(data.subarray(offset, offset + TS_PACKET_SIZE), time);
+            offset += size;
+        }
+
+        return offset;
+    }
+
+    /**
+     * Find a position with syncConfirmCount sync bytes one packet apart,
+     * trying the last detected format first, and lock onto that format
+     * @returns {number} Offset of the sync byte, or -1 if more data is needed
+     */
+    findSync(data, start) {
+        const span = MAX_PACKET_SIZE * (this.syncConfirmCount - 1);
+        const formats = this.format
+            ? [this.format, ...PACKET_FORMATS.filter(f => f !== this.format)]
+            : PACKET_FORMATS;
+
+        for (let pos = start; pos + span < data.length; pos++) {
+            if (data[pos] !== SYNC_BYTE) continue;
+
+            const format = formats.find(f => this.confirmSync(data, pos, f.size));
+            if (format) {
+                this.format = format;
+                return pos;
+            }
+        }
+
+        return -1;
+    }
+
+    confirmSync(data, pos, size) {
+        for (let k = 1; k < this.syncConfirmCount; k++) {
+            if (data[pos + k * size] !== SYNC_BYTE) return false;
+        }
+        return true;
+    }
+
+    reset() {
+        this.leftover = new Uint8Array(0);
+        this.inSync = false;
+        this.badSyncCount = 0;
+        // Detected entry of PACKET_FORMATS, null until sync is first acquired
+        this.format = null;
+        this.stats = {
+            packets: 0,
+            syncByteErrors: 0,
+            syncLosses: 0,
+            syncAcquisitions: 0,
+            resyncs: 0,
+            bytesSkipped: 0
+        };
+    }
+}